@@ -1,8 +1,20 @@
 /**
  * Background Service Worker
  * Handles context menu and background operations
+ * Conversions run in an offscreen document because service workers have no DOM
  */
 
+import './utils/settings.js';
+import './utils/history.js';
+import './utils/downloads.js';
+import './utils/site-rules.js';
+
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+// Clears the notification badge if the worker was suspended before its timer fired
+const CLEAR_BADGE_ALARM = 'markitdown-clear-badge';
+const CLEAR_BADGE_DELAY_MS = 4000;
+
 // Create context menu on install
 chrome.runtime.onInstalled.addListener(() => {
     // Context menu for selected text
@@ -25,11 +37,38 @@ chrome.runtime.onInstalled.addListener(() => {
         title: 'Convert this page to Markdown',
         contexts: ['page']
     });
+
+    // Save variants download a .md file instead of copying
+    chrome.contextMenus.create({
+        id: 'markitdown-selection-save',
+        title: 'Save selection as Markdown file',
+        contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+        id: 'markitdown-link-save',
+        title: 'Save linked page as Markdown file',
+        contexts: ['link']
+    });
+    chrome.contextMenus.create({
+        id: 'markitdown-page-save',
+        title: 'Save this page as Markdown file',
+        contexts: ['page']
+    });
+
+    // Crawl linked pages into a ZIP
+    chrome.contextMenus.create({
+        id: 'markitdown-crawl',
+        title: 'Crawl site from this page to Markdown (ZIP)',
+        contexts: ['page']
+    });
 });
 
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-    if (info.menuItemId === 'markitdown-selection') {
+    const save = info.menuItemId.endsWith('-save');
+    const menuItemId = info.menuItemId.replace(/-save$/, '');
+
+    if (menuItemId === 'markitdown-selection') {
         // Get selection and convert
         try {
             const [result] = await chrome.scripting.executeScript({
@@ -47,16 +86,18 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
             });
 
             if (result && result.result) {
-                // Store in clipboard
-                await copyToClipboard(result.result, 'selection');
-                showNotification('Selection converted and copied to clipboard!');
+                const markdown = await runInOffscreen('convertSelection', { html: result.result, url: tab.url });
+                await deliverConversion(markdown, { title: tab.title, url: tab.url, source: 'selection' }, save, 'Selection');
+            } else {
+                showNotification('No text selected', 'error');
             }
         } catch (error) {
             console.error('Context menu selection error:', error);
+            showNotification('Failed to convert selection: ' + error.message, 'error');
         }
     }
 
-    if (info.menuItemId === 'markitdown-page') {
+    if (menuItemId === 'markitdown-page') {
         // Convert current page
         try {
             const [result] = await chrome.scripting.executeScript({
@@ -69,88 +110,345 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
             });
 
             if (result && result.result) {
-                await copyToClipboard(result.result, 'page');
-                showNotification('Page converted and copied to clipboard!');
+                const markdown = await runInOffscreen('convertPage', { page: result.result });
+                await deliverConversion(markdown, { title: result.result.title, url: result.result.url, source: 'page' }, save, 'Page');
             }
         } catch (error) {
             console.error('Context menu page error:', error);
+            showNotification('Failed to convert page: ' + error.message, 'error');
         }
     }
 
-    if (info.menuItemId === 'markitdown-link' && info.linkUrl) {
+    if (menuItemId === 'markitdown-crawl') {
+        try {
+            const origin = new URL(tab.url).origin;
+            // Site access must be requested straight from the click
+            const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+            if (!granted) throw new Error(`Access to ${origin} was not granted`);
+
+            await runInOffscreen('startCrawl', { url: tab.url });
+            showNotification(`Crawling ${new URL(tab.url).hostname}. The ZIP is saved when it finishes.`);
+        } catch (error) {
+            console.error('Context menu crawl error:', error);
+            showNotification('Failed to start crawl: ' + error.message, 'error');
+        }
+    }
+
+    if (menuItemId === 'markitdown-link' && info.linkUrl) {
         // Fetch and convert linked page
         try {
             const response = await fetch(info.linkUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
             const html = await response.text();
-            await copyToClipboard({ html, url: info.linkUrl }, 'page');
-            showNotification('Linked page converted and copied to clipboard!');
+            const page = { html, url: info.linkUrl, title: info.linkText || '' };
+            const markdown = await runInOffscreen('convertPage', { page });
+            await deliverConversion(markdown, { title: page.title, url: page.url, source: 'page' }, save, 'Linked page');
         } catch (error) {
             console.error('Context menu link error:', error);
-            showNotification('Failed to fetch linked page');
+            showNotification('Failed to fetch linked page: ' + error.message, 'error');
         }
     }
 });
 
+// Keyboard shortcut for the element picker
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === 'pick-elements' && tab) {
+        startPicker(tab.id).catch(error => {
+            console.error('Element picker error:', error);
+            showNotification('Cannot pick elements on this page: ' + error.message, 'error');
+        });
+    }
+});
+
 /**
- * Convert content and copy to clipboard
- * Uses offscreen document for clipboard access in service worker
+ * Open the element picker in a tab (running it again closes it)
+ * @param {number} tabId - Tab to pick from
  */
-async function copyToClipboard(data, type) {
-    // For service workers, we need to use offscreen document or inject script
-    // For simplicity, we'll use a script injection approach
+async function startPicker(tabId) {
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['picker.js'] });
+}
 
-    let markdown = '';
+/**
+ * Convert the elements chosen with the picker and copy the result
+ * @param {Object} request - pickerFinished message from picker.js
+ * @param {Object} request.page - Page HTML with the picked elements marked, and the selector matching them
+ * @param {string|null} request.rememberSelector - Content selector to save in the site's rule
+ */
+async function convertPickedElements(request) {
+    const { page, rememberSelector } = request;
+    try {
+        if (rememberSelector) {
+            const settings = await Settings.load();
+            const hostname = new URL(page.url).hostname;
+            await Settings.save({ siteRules: SiteRules.setContentSelector(settings.siteRules, hostname, rememberSelector) });
+        }
 
-    if (type === 'selection') {
-        // Simple HTML to Markdown for selection
-        markdown = simpleHtmlToMarkdown(data);
-    } else if (type === 'page') {
-        markdown = `# ${data.title || 'Untitled'}\n\n`;
-        markdown += `> Source: ${data.url}\n\n---\n\n`;
-        markdown += simpleHtmlToMarkdown(data.html);
+        const markdown = await runInOffscreen('convertPage', { page });
+        await deliverConversion(markdown, { title: page.title, url: page.url, source: 'picker' }, false, 'Picked elements');
+    } catch (error) {
+        console.error('Element picker conversion error:', error);
+        showNotification('Failed to convert picked elements: ' + error.message, 'error');
     }
+}
 
-    // Store markdown for popup to access
-    await chrome.storage.local.set({ lastConversion: markdown });
+// Pending createDocument() call, shared so concurrent requests wait on the same one
+let creatingOffscreenDocument = null;
 
-    return markdown;
+/**
+ * Create the offscreen document if it is not already open
+ */
+async function ensureOffscreenDocument() {
+    const offscreenUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [offscreenUrl]
+    });
+    if (contexts.length > 0) return;
+
+    // Several menu clicks can race to create the single allowed document
+    if (!creatingOffscreenDocument) {
+        creatingOffscreenDocument = chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT_PATH,
+            reasons: ['DOM_PARSER', 'CLIPBOARD', 'BLOBS'],
+            justification: 'Convert HTML to Markdown with Turndown, copy the result to the clipboard and build crawl ZIPs'
+        }).finally(() => {
+            creatingOffscreenDocument = null;
+        });
+    }
+    await creatingOffscreenDocument;
 }
 
 /**
- * Simple HTML to Markdown conversion (for background script)
- * This is a lightweight version since we can't load full Turndown in service worker
+ * Run an action in the offscreen document
+ * @param {string} action - Offscreen action ('convertSelection', 'convertPage', 'copyToClipboard', 'startCrawl' or 'revokeObjectUrl')
+ * @param {Object} data - Action payload
+ * @returns {Promise<*>} Result data (Markdown for conversions)
  */
-function simpleHtmlToMarkdown(html) {
-    if (!html) return '';
+async function runInOffscreen(action, data) {
+    await ensureOffscreenDocument();
+
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', action, ...data });
+    if (!response || !response.success) {
+        throw new Error(response?.error || `Offscreen ${action} failed`);
+    }
+    return response.data;
+}
 
-    // Create a temporary DOM parser
-    const doc = new DOMParser().parseFromString(html, 'text/html');
+/**
+ * Copy a context menu conversion to the clipboard or save it as a file, then notify the user
+ * @param {string} markdown - Converted Markdown
+ * @param {Object} details - Where the content came from (see copyToClipboard)
+ * @param {boolean} save - Save a .md file instead of copying
+ * @param {string} label - What was converted, for the notification ('Page', 'Selection'...)
+ */
+async function deliverConversion(markdown, details, save, label) {
+    if (!save) {
+        await copyToClipboard(markdown, details);
+        showNotification(`${label} converted and copied to clipboard!`);
+        return;
+    }
+
+    const filename = await Downloads.saveMarkdown(markdown, details, await Settings.load());
+    await rememberConversion(markdown, details);
+    showNotification(`${label} saved as ${filename}`);
+}
+
+/**
+ * Copy Markdown to the system clipboard, keep it for the popup and record it in the history
+ * Service workers cannot touch the clipboard, so the offscreen document does the copy
+ * @param {string} markdown - Converted Markdown
+ * @param {Object} details - Where the content came from
+ * @param {string} details.title - Page title
+ * @param {string} details.url - Page URL
+ * @param {string} details.source - 'selection', 'page' or 'picker'
+ */
+async function copyToClipboard(markdown, details) {
+    await runInOffscreen('copyToClipboard', { text: markdown });
+    return rememberConversion(markdown, details);
+}
 
-    // Remove unwanted elements
-    doc.querySelectorAll('script, style, noscript, nav, footer, header, aside').forEach(el => el.remove());
+/**
+ * Keep a conversion for the popup and record it in the history
+ * @param {string} markdown - Converted Markdown
+ * @param {Object} details - Where the content came from (see copyToClipboard)
+ */
+async function rememberConversion(markdown, details) {
+    // The popup preloads unread conversions the next time it opens
+    await chrome.storage.local.set({
+        lastConversion: {
+            markdown,
+            title: details.title || '',
+            url: details.url || '',
+            source: details.source,
+            timestamp: Date.now(),
+            unread: true
+        }
+    });
 
-    let text = doc.body.textContent || '';
+    // The conversion is already delivered; a full history must not turn it into a failure
+    try {
+        await ConversionHistory.add({ markdown, ...details });
+    } catch (error) {
+        console.error('MarkItDown: Failed to save history entry:', error);
+    }
 
-    // Clean up whitespace
-    text = text.replace(/\s+/g, ' ').trim();
+    return markdown;
+}
 
-    return text;
+/**
+ * Apply a history change requested by an extension page
+ * All writes go through the worker so ConversionHistory orders them in one queue
+ * @param {Object} request - writeHistory message: operation 'add' (with conversion), 'remove' (with id) or 'clear'
+ * @returns {Promise<Object|null>} Stored entry for 'add'
+ */
+async function writeHistory(request) {
+    switch (request.operation) {
+        case 'add': return ConversionHistory.add(request.conversion);
+        case 'remove': return ConversionHistory.remove(request.id);
+        case 'clear': return ConversionHistory.clear();
+        default: throw new Error(`Unknown history operation: ${request.operation}`);
+    }
 }
 
 /**
- * Show notification to user
+ * Show a system notification and flash the toolbar badge
+ * @param {string} message - Notification text
+ * @param {string} type - 'success' or 'error'
  */
-function showNotification(message) {
-    // Note: Notifications require 'notifications' permission
-    // For now, just log
+function showNotification(message, type = 'success') {
     console.log('MarkItDown:', message);
+
+    chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: type === 'error' ? 'MarkItDown - Conversion failed' : 'MarkItDown',
+        message
+    });
+
+    chrome.action.setBadgeBackgroundColor({ color: type === 'error' ? '#e94560' : '#4ecca3' });
+    chrome.action.setBadgeText({ text: type === 'error' ? '!' : '✓' });
+
+    // The timer is lost when the worker is suspended; alarms survive that but fire after 30 seconds at the earliest
+    setTimeout(clearBadge, CLEAR_BADGE_DELAY_MS);
+    chrome.alarms.create(CLEAR_BADGE_ALARM, { delayInMinutes: 0.5 });
 }
 
-// Listen for messages from popup
+/**
+ * Remove the toolbar badge and its pending alarm
+ */
+function clearBadge() {
+    chrome.action.setBadgeText({ text: '' });
+    chrome.alarms.clear(CLEAR_BADGE_ALARM);
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === CLEAR_BADGE_ALARM) clearBadge();
+});
+
+/**
+ * Download the ZIP of a finished crawl, then let the offscreen document free it
+ * @param {Object} result - crawlFinished message from the offscreen document
+ * @param {string} result.url - Start page
+ * @param {string} result.objectUrl - Object URL of the ZIP
+ * @param {number} result.pages - Pages converted
+ * @param {number} result.skipped - URLs skipped (robots.txt, redirects off the site)
+ * @param {number} result.failures - Pages that could not be fetched or converted
+ */
+async function saveCrawl(result) {
+    try {
+        const settings = await Settings.load();
+        const site = new URL(result.url).hostname;
+        const filename = Downloads.getFilename(settings.filenameTemplate, { title: `crawl ${site}`, url: result.url, source: 'crawl' }, 'zip');
+        const downloadId = await chrome.downloads.download({
+            url: result.objectUrl,
+            filename,
+            conflictAction: settings.filenameConflict === 'overwrite' ? 'overwrite' : 'uniquify'
+        });
+
+        const onChanged = delta => {
+            if (delta.id !== downloadId || !delta.state || delta.state.current === 'in_progress') return;
+            chrome.downloads.onChanged.removeListener(onChanged);
+            runInOffscreen('revokeObjectUrl', { objectUrl: result.objectUrl }).catch(() => {});
+        };
+        chrome.downloads.onChanged.addListener(onChanged);
+
+        const problems = [];
+        if (result.skipped > 0) problems.push(`${result.skipped} skipped`);
+        if (result.failures > 0) problems.push(`${result.failures} failed`);
+        showNotification(`Crawled ${result.pages} page${result.pages === 1 ? '' : 's'} from ${site}` +
+            (problems.length > 0 ? ` (${problems.join(', ')}, see _crawl-report.md)` : ''));
+    } catch (error) {
+        console.error('Crawl save error:', error);
+        showNotification('Failed to save crawl: ' + error.message, 'error');
+    }
+}
+
+// Clicking a notification opens the popup with the conversion preloaded
+chrome.notifications.onClicked.addListener(notificationId => {
+    chrome.notifications.clear(notificationId);
+    chrome.action.openPopup().catch(() => {
+        // openPopup() needs a focused browser window
+    });
+});
+
+// Forward settings changes to the offscreen document, which cannot watch storage itself
+Settings.onChanged(settings => {
+    chrome.runtime.sendMessage({ action: 'settingsChanged', settings }).catch(() => {
+        // No extension pages listening
+    });
+});
+
+// Listen for messages from popup and the offscreen document
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'getSettings') {
+        Settings.load().then(sendResponse);
+        return true;
+    }
+
+    // Crawl updates from the offscreen document
+    if (request.action === 'crawlProgress') {
+        chrome.alarms.clear(CLEAR_BADGE_ALARM);
+        chrome.action.setBadgeBackgroundColor({ color: '#4ecca3' });
+        chrome.action.setBadgeText({ text: String(request.converted) });
+        return;
+    }
+
+    if (request.action === 'crawlFinished') {
+        saveCrawl(request);
+        return;
+    }
+
+    if (request.action === 'pickerFinished') {
+        convertPickedElements(request);
+        return;
+    }
+
+    if (request.action === 'crawlFailed') {
+        showNotification('Crawl failed: ' + request.error, 'error');
+        return;
+    }
+
+    if (request.action === 'writeHistory') {
+        writeHistory(request)
+            .then(entry => sendResponse({ success: true, entry: entry || null }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
     if (request.action === 'getLastConversion') {
         chrome.storage.local.get(['lastConversion'], (result) => {
-            sendResponse({ markdown: result.lastConversion || '' });
+            sendResponse(result.lastConversion || null);
+        });
+        return true;
+    }
+
+    if (request.action === 'markLastConversionRead') {
+        chrome.storage.local.get(['lastConversion'], async (result) => {
+            if (result.lastConversion) {
+                await chrome.storage.local.set({ lastConversion: { ...result.lastConversion, unread: false } });
+            }
+            sendResponse({ success: true });
         });
         return true;
     }
@@ -1,5 +1,9 @@
 /**
  * Configuration file for MarkItDown Chrome Extension
+ *
+ * DEPRECATED: Settings are now managed from the extension's options page
+ * (right-click the toolbar icon > Options). This file is only read as a
+ * fallback when no API key has been saved there.
  * 
  * IMPORTANT: This file contains sensitive API keys.
  * DO NOT commit this file to version control.
@@ -7,12 +7,20 @@
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'getYouTubeData') {
-        getYouTubeData()
+        getYouTubeData(request.options)
             .then(data => sendResponse({ success: true, data }))
             .catch(error => sendResponse({ success: false, error: error.message }));
         return true; // Keep channel open for async response
     }
 
+    if (request.action === 'getCaptionTracks') {
+        try {
+            sendResponse({ success: true, data: getCaptionTracks() });
+        } catch (error) {
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
     if (request.action === 'getPageContent') {
         sendResponse({
             success: true,
@@ -27,8 +35,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 /**
  * Extract YouTube video data
+ * @param {Object} options - Transcript options from the popup
+ * @param {number} options.trackIndex - Index into the caption track list (-1 or missing = automatic)
+ * @param {string} options.translateTo - Language code to machine-translate the track into
+ * @param {string} options.preferredLanguage - Language code to prefer when choosing automatically
+ * @param {boolean} options.preferManual - Prefer uploaded captions over auto-generated ones
  */
-async function getYouTubeData() {
+async function getYouTubeData(options = {}) {
     const data = {
         title: '',
         channel: '',
@@ -38,7 +51,10 @@ async function getYouTubeData() {
         duration: '',
         description: '',
         transcript: '',
-        transcriptError: null
+        transcriptSegments: [],
+        transcriptTrack: null,
+        transcriptError: null,
+        chapters: []
     };
 
     // Get title
@@ -98,9 +114,25 @@ async function getYouTubeData() {
         console.error('Error getting description:', e);
     }
 
+    // The player response keeps the description's line breaks, which chapter parsing relies on
+    const shortDescription = getPlayerResponse()?.videoDetails?.shortDescription;
+    if (shortDescription) {
+        data.description = shortDescription.trim();
+    }
+
+    // Chapters from the player's chapter markers
+    try {
+        data.chapters = getPlayerChapters();
+    } catch (e) {
+        console.error('Error getting chapters:', e);
+    }
+
     // Try to get transcript
     try {
-        data.transcript = await getYouTubeTranscript();
+        const transcript = await getYouTubeTranscript(options);
+        data.transcriptSegments = transcript.segments;
+        data.transcriptTrack = transcript.track;
+        data.transcript = transcript.segments.map(seg => seg.text).join(' ').replace(/\s+/g, ' ').trim();
     } catch (e) {
         data.transcriptError = 'Transcript not available: ' + e.message;
     }
@@ -108,44 +140,194 @@ async function getYouTubeData() {
     return data;
 }
 
+/**
+ * Read a JSON object assigned to a global in the page's inline scripts
+ * @param {string} variableName - e.g. 'ytInitialPlayerResponse'
+ * @returns {Object|null} Parsed object
+ */
+function getInlineJson(variableName) {
+    const pattern = new RegExp(variableName + '\\s*=\\s*(\\{.+?\\});\\s*(?:var |window|$)', 's');
+    const scripts = document.querySelectorAll('script');
+    for (const script of scripts) {
+        const text = script.textContent;
+        if (text.includes(variableName)) {
+            const match = text.match(pattern);
+            if (match) {
+                try {
+                    return JSON.parse(match[1]);
+                } catch (e) {
+                    console.error(`Error parsing ${variableName}:`, e);
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether inline script data belongs to the video being watched
+ * The inline scripts are not updated when YouTube navigates between videos without reloading
+ * @param {string} videoId - Video ID recorded in the data
+ * @returns {boolean}
+ */
+function isCurrentVideo(videoId) {
+    return !!videoId && videoId === new URLSearchParams(window.location.search).get('v');
+}
+
+/**
+ * Read ytInitialPlayerResponse from the page's inline scripts
+ * @returns {Object|null} Player response, or null if it describes a video watched earlier
+ */
+function getPlayerResponse() {
+    const playerResponse = getInlineJson('ytInitialPlayerResponse');
+    return isCurrentVideo(playerResponse?.videoDetails?.videoId) ? playerResponse : null;
+}
+
+/**
+ * Read chapter markers from the player bar data in ytInitialData
+ * @returns {Array<{title: string, start: number}>} Chapters with start times in seconds
+ */
+function getPlayerChapters() {
+    const initialData = getInlineJson('ytInitialData');
+    if (!isCurrentVideo(initialData?.currentVideoEndpoint?.watchEndpoint?.videoId)) return [];
+
+    const markersMap = initialData?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+        ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer?.markersMap || [];
+
+    const chapterMarkers = markersMap.find(marker => marker.key === 'DESCRIPTION_CHAPTERS') ||
+        markersMap.find(marker => marker.value?.chapters);
+
+    return (chapterMarkers?.value?.chapters || []).map(chapter => ({
+        title: chapter.chapterRenderer?.title?.simpleText || '',
+        start: (chapter.chapterRenderer?.timeRangeStartMillis || 0) / 1000
+    })).filter(chapter => chapter.title);
+}
+
+/**
+ * List the caption tracks and translation languages offered for the video
+ * @returns {{tracks: Array, translationLanguages: Array}}
+ */
+function getCaptionTracks() {
+    const renderer = getPlayerResponse()?.captions?.playerCaptionsTracklistRenderer;
+    const tracks = (renderer?.captionTracks || []).map((track, index) => ({
+        index,
+        languageCode: track.languageCode,
+        name: track.name?.simpleText || track.name?.runs?.map(r => r.text).join('') || track.languageCode,
+        kind: track.kind === 'asr' ? 'auto-generated' : 'manual',
+        isTranslatable: !!track.isTranslatable,
+        baseUrl: track.baseUrl
+    }));
+
+    const translationLanguages = (renderer?.translationLanguages || []).map(lang => ({
+        languageCode: lang.languageCode,
+        name: lang.languageName?.simpleText || lang.languageName?.runs?.map(r => r.text).join('') || lang.languageCode
+    }));
+
+    return { tracks, translationLanguages };
+}
+
+/**
+ * Pick a caption track from the user's choice or preferences
+ * @param {Array} tracks - Tracks from getCaptionTracks()
+ * @param {Object} options - See getYouTubeData()
+ * @returns {Object} Chosen track
+ */
+function chooseCaptionTrack(tracks, options) {
+    if (options.trackIndex >= 0 && tracks[options.trackIndex]) return tracks[options.trackIndex];
+
+    const language = (options.preferredLanguage || 'en').toLowerCase();
+    const kinds = options.preferManual === false ? ['auto-generated', 'manual'] : ['manual', 'auto-generated'];
+    const matchesLanguage = track => track.languageCode.toLowerCase() === language ||
+        track.languageCode.toLowerCase().startsWith(language + '-');
+
+    for (const kind of kinds) {
+        const track = tracks.find(t => t.kind === kind && matchesLanguage(t));
+        if (track) return track;
+    }
+
+    // Otherwise take the first track of the preferred kind
+    return tracks.find(t => t.kind === kinds[0]) || tracks[0];
+}
+
+/**
+ * Decode HTML entities left in caption text (e.g. &#39; and &amp;quot;)
+ * @param {string} text - Caption text
+ * @returns {string}
+ */
+function decodeCaptionText(text) {
+    const doc = new DOMParser().parseFromString(`<body>${text}</body>`, 'text/html');
+    return doc.body.textContent;
+}
+
+/**
+ * Parse timed-text XML into segments
+ * Handles the classic format (<text start dur>) and srv3 (<p t d> in milliseconds)
+ * @param {string} xml - Caption XML
+ * @returns {Array<{start: number, duration: number, text: string}>}
+ */
+function parseCaptionXml(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'text/xml');
+
+    let segments = Array.from(doc.querySelectorAll('text')).map(node => ({
+        start: parseFloat(node.getAttribute('start')) || 0,
+        duration: parseFloat(node.getAttribute('dur')) || 0,
+        text: decodeCaptionText(node.textContent)
+    }));
+
+    if (segments.length === 0) {
+        segments = Array.from(doc.querySelectorAll('p[t]')).map(node => ({
+            start: (parseInt(node.getAttribute('t'), 10) || 0) / 1000,
+            duration: (parseInt(node.getAttribute('d'), 10) || 0) / 1000,
+            text: decodeCaptionText(node.textContent)
+        }));
+    }
+
+    return segments
+        .map(seg => ({ ...seg, text: seg.text.replace(/\s+/g, ' ').trim() }))
+        .filter(seg => seg.text);
+}
+
+/**
+ * Parse a transcript panel timestamp ("1:02:03" or "4:05") into seconds
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function parseTimestamp(timestamp) {
+    return timestamp.trim().split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+}
+
 /**
  * Attempt to get YouTube transcript
+ * @param {Object} options - See getYouTubeData()
+ * @returns {Promise<{segments: Array, track: Object|null}>}
  */
-async function getYouTubeTranscript() {
+async function getYouTubeTranscript(options = {}) {
     // Method 1: Try to get from page's ytInitialPlayerResponse
     try {
-        const scripts = document.querySelectorAll('script');
-        for (const script of scripts) {
-            const text = script.textContent;
-            if (text.includes('ytInitialPlayerResponse')) {
-                const match = text.match(/ytInitialPlayerResponse\s*=\s*(\{.+?\});/s);
-                if (match) {
-                    const playerResponse = JSON.parse(match[1]);
-                    const captionTracks = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
-
-                    if (captionTracks && captionTracks.length > 0) {
-                        // Prefer English, otherwise take first available
-                        const track = captionTracks.find(t => t.languageCode === 'en') || captionTracks[0];
-                        const captionUrl = track.baseUrl;
-
-                        // Fetch the caption
-                        const response = await fetch(captionUrl);
-                        const xml = await response.text();
-
-                        // Parse XML and extract text
-                        const parser = new DOMParser();
-                        const doc = parser.parseFromString(xml, 'text/xml');
-                        const texts = doc.querySelectorAll('text');
-
-                        const transcript = Array.from(texts)
-                            .map(t => t.textContent.replace(/&#39;/g, "'").replace(/&quot;/g, '"'))
-                            .join(' ')
-                            .replace(/\s+/g, ' ')
-                            .trim();
-
-                        return transcript;
+        const { tracks } = getCaptionTracks();
+
+        if (tracks.length > 0) {
+            const track = chooseCaptionTrack(tracks, options);
+            let captionUrl = track.baseUrl;
+            if (options.translateTo && track.isTranslatable) {
+                captionUrl += '&tlang=' + encodeURIComponent(options.translateTo);
+            }
+
+            // Fetch the caption
+            const response = await fetch(captionUrl);
+            const xml = await response.text();
+            const segments = parseCaptionXml(xml);
+
+            if (segments.length > 0) {
+                return {
+                    segments,
+                    track: {
+                        languageCode: track.languageCode,
+                        name: track.name,
+                        kind: track.kind,
+                        translatedTo: options.translateTo && track.isTranslatable ? options.translateTo : null
                     }
-                }
+                };
             }
         }
     } catch (e) {
@@ -169,17 +351,23 @@ async function getYouTubeTranscript() {
 
                 const transcriptContainer = document.querySelector('ytd-transcript-renderer, #transcript');
                 if (transcriptContainer) {
-                    const segments = transcriptContainer.querySelectorAll('ytd-transcript-segment-renderer, .ytd-transcript-segment-renderer');
-                    const text = Array.from(segments)
-                        .map(seg => seg.textContent.trim())
-                        .join(' ')
-                        .replace(/\s+/g, ' ');
+                    const segmentElements = transcriptContainer.querySelectorAll('ytd-transcript-segment-renderer');
+                    const segments = Array.from(segmentElements).map(seg => {
+                        const timestamp = seg.querySelector('.segment-timestamp')?.textContent || '0:00';
+                        const text = seg.querySelector('.segment-text')?.textContent || seg.textContent;
+                        return { start: parseTimestamp(timestamp), duration: 0, text: text.replace(/\s+/g, ' ').trim() };
+                    }).filter(seg => seg.text);
+
+                    // Panel segments have no duration - each one lasts until the next starts
+                    segments.forEach((seg, i) => {
+                        if (segments[i + 1]) seg.duration = Math.max(segments[i + 1].start - seg.start, 0);
+                    });
 
                     // Close transcript panel
                     const closeBtn = document.querySelector('ytd-engagement-panel-section-list-renderer button[aria-label="Close"]');
                     if (closeBtn) closeBtn.click();
 
-                    return text;
+                    return { segments, track: null };
                 }
             }
 
@@ -0,0 +1,302 @@
+/**
+ * Main Content Extractor
+ * Scores DOM nodes by text density, link density, paragraph counts and
+ * class/id hints to find the article body (modelled on Mozilla Readability)
+ */
+
+const EXTRACTOR_PATTERNS = {
+    unlikely: /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|cookie|newsletter|subscribe|share/i,
+    maybeCandidate: /and|article|body|column|content|main|shadow/i,
+    positive: /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story|prose|markdown/i,
+    negative: /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav/i
+};
+
+// Elements whose text is scored as a paragraph (DIVs count too when they hold no blocks)
+const SCORABLE_TAGS = ['P', 'PRE', 'TD', 'BLOCKQUOTE', 'H2', 'H3', 'H4', 'H5', 'H6', 'DIV'];
+
+// Block-level children that stop an element from being treated as a paragraph
+const BLOCK_CHILD_SELECTOR = 'blockquote, dl, div, img, ol, p, pre, table, ul, section, article, figure';
+
+// Selector list used when no node scores (e.g. script-rendered pages without paragraphs)
+const FALLBACK_CONTENT_SELECTORS = [
+    'article', '[role="article"]', '.article-content', '.article-body',
+    'main', '[role="main"]', '#main', '.main-content',
+    '.post-content', '.entry-content', '.markdown-body', '.prose',
+    '#content', '.content',
+    '#app', '#root', '[data-v-app]'
+];
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_ARTICLE_LENGTH = 250;
+
+const ContentExtractor = {
+    /**
+     * Find the main content of a document
+     * @param {Document} doc - Parsed document (already stripped of scripts, ads, etc.)
+     * @param {Object} options - Extraction options
+     * @param {string} options.mode - 'article' (scored extraction) or 'full' (whole body)
+     * @returns {{element: Element, label: string, score: number|null, mode: string, candidates: Array}}
+     */
+    extract(doc, options = {}) {
+        const { mode = 'article' } = options;
+        const body = doc.body || doc.documentElement;
+
+        if (mode === 'full') {
+            return { element: body, label: 'body (full page)', score: null, mode, candidates: [] };
+        }
+
+        const candidates = this.scoreCandidates(body);
+        const ranked = Array.from(candidates.entries())
+            .map(([element, score]) => ({ element, score: score * (1 - this.getLinkDensity(element)) }))
+            .sort((a, b) => b.score - a.score);
+
+        const debugCandidates = ranked.slice(0, 5).map(c => ({
+            label: this.describeElement(c.element),
+            score: Math.round(c.score * 10) / 10
+        }));
+
+        const top = ranked[0];
+        if (top && this.getInnerText(top.element).length >= MIN_ARTICLE_LENGTH) {
+            const root = this.promoteToAncestor(top, ranked);
+            const { element, mergedCount } = this.mergeSiblings(root.element, root.score, doc);
+            const label = this.describeElement(root.element) + (mergedCount > 0 ? ` + ${mergedCount} sibling(s)` : '');
+            return { element, label, score: Math.round(root.score * 10) / 10, mode, candidates: debugCandidates };
+        }
+
+        // Nothing scored well enough - fall back to well-known content containers
+        for (const selector of FALLBACK_CONTENT_SELECTORS) {
+            try {
+                const element = doc.querySelector(selector);
+                if (element && this.getInnerText(element).length > 50) {
+                    return { element, label: `${this.describeElement(element)} (selector fallback)`, score: null, mode, candidates: debugCandidates };
+                }
+            } catch (e) {
+                // Ignore invalid selectors
+            }
+        }
+
+        return { element: body, label: 'body (no article found)', score: null, mode, candidates: debugCandidates };
+    },
+
+    /**
+     * Score paragraph containers and propagate scores to their ancestors
+     * @param {Element} root - Element to search within
+     * @returns {Map<Element, number>} Candidate elements and their raw scores
+     */
+    scoreCandidates(root) {
+        const scores = new Map();
+
+        const initialize = element => {
+            if (!scores.has(element)) {
+                scores.set(element, this.getTagWeight(element) + this.getClassWeight(element));
+            }
+        };
+
+        const elements = root.querySelectorAll(SCORABLE_TAGS.join(','));
+        elements.forEach(element => {
+            if (element.tagName !== 'P' && element.querySelector(BLOCK_CHILD_SELECTOR)) return;
+            if (this.isUnlikely(element)) return;
+
+            const text = this.getInnerText(element);
+            if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+            // One point for the paragraph, one per comma, one per 100 characters (max 3)
+            const contentScore = 1 + text.split(/[,，、]/).length - 1 + Math.min(Math.floor(text.length / 100), 3);
+
+            let ancestor = element.parentElement;
+            for (let level = 0; ancestor && ancestor !== root.parentElement && level < 5; level++) {
+                if (!ancestor.tagName || ancestor.tagName === 'HTML') break;
+                initialize(ancestor);
+                const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+                scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+                ancestor = ancestor.parentElement;
+            }
+        });
+
+        return scores;
+    },
+
+    /**
+     * Prefer a semantic ancestor (article/main) or a parent that holds most of the content
+     * @param {{element: Element, score: number}} top - Top-scoring candidate
+     * @param {Array} ranked - All candidates, highest score first
+     * @returns {{element: Element, score: number}}
+     */
+    promoteToAncestor(top, ranked) {
+        const scoreOf = new Map(ranked.map(c => [c.element, c.score]));
+        let current = top;
+
+        // If several other strong candidates share an ancestor, the content is split across them
+        const alternatives = ranked.slice(1, 6).filter(c =>
+            c.score >= top.score * 0.75 &&
+            !c.element.contains(top.element) &&
+            !top.element.contains(c.element));
+        if (alternatives.length >= 2) {
+            let ancestor = top.element.parentElement;
+            while (ancestor && ancestor.tagName !== 'BODY') {
+                const contained = alternatives.filter(c => ancestor.contains(c.element)).length;
+                if (contained >= 2) {
+                    current = { element: ancestor, score: scoreOf.get(ancestor) || top.score };
+                    break;
+                }
+                ancestor = ancestor.parentElement;
+            }
+        }
+
+        // Climb through wrappers that add nothing but more score
+        let parent = current.element.parentElement;
+        while (parent && parent.tagName !== 'BODY') {
+            const parentScore = scoreOf.get(parent);
+            if (parentScore === undefined || parentScore < current.score) break;
+            current = { element: parent, score: parentScore };
+            parent = parent.parentElement;
+        }
+
+        return current;
+    },
+
+    /**
+     * Merge related siblings (continuation paragraphs, split article bodies) into one container
+     * @param {Element} element - Chosen content root
+     * @param {number} score - Score of the chosen root
+     * @param {Document} doc - Owner document
+     * @returns {{element: Element, mergedCount: number}}
+     */
+    mergeSiblings(element, score, doc) {
+        const parent = element.parentElement;
+        if (!parent || parent.tagName === 'HTML') return { element, mergedCount: 0 };
+
+        const threshold = Math.max(10, score * 0.2);
+        const className = element.className || '';
+        const parentScores = this.scoreCandidates(parent);
+        const siblings = Array.from(parent.children).filter(sibling => {
+            if (sibling === element) return true;
+            if (this.isUnlikely(sibling)) return false;
+
+            let bonus = 0;
+            if (className && sibling.className === className) bonus += score * 0.2;
+
+            const siblingScore = (parentScores.get(sibling) || 0) * (1 - this.getLinkDensity(sibling));
+            if (siblingScore + bonus >= threshold) return true;
+
+            if (sibling.tagName === 'P') {
+                const text = this.getInnerText(sibling);
+                const linkDensity = this.getLinkDensity(sibling);
+                if (text.length > 80 && linkDensity < 0.25) return true;
+                if (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text)) return true;
+            }
+            return false;
+        });
+
+        if (siblings.length === 1) return { element, mergedCount: 0 };
+
+        const container = doc.createElement('div');
+        siblings.forEach(sibling => container.appendChild(sibling.cloneNode(true)));
+        return { element: container, mergedCount: siblings.length - 1 };
+    },
+
+    /**
+     * Check if an element (or an ancestor) looks like navigation, comments, sidebars, etc.
+     * @param {Element} element - Element to check
+     * @returns {boolean}
+     */
+    isUnlikely(element) {
+        for (let node = element; node && node.tagName !== 'BODY'; node = node.parentElement) {
+            // Semantic content containers are never discarded on class/id hints alone
+            if (node.tagName === 'ARTICLE' || node.tagName === 'MAIN') continue;
+            if (['NAV', 'ASIDE', 'FOOTER', 'HEADER'].includes(node.tagName)) return true;
+            if (node.getAttribute('role') === 'navigation' || node.getAttribute('role') === 'complementary') return true;
+
+            const matchString = (node.className && typeof node.className === 'string' ? node.className : '') + ' ' + (node.id || '');
+            if (EXTRACTOR_PATTERNS.unlikely.test(matchString) && !EXTRACTOR_PATTERNS.maybeCandidate.test(matchString)) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Base score for an element type
+     * @param {Element} element
+     * @returns {number}
+     */
+    getTagWeight(element) {
+        switch (element.tagName) {
+            case 'ARTICLE': return 10;
+            case 'MAIN': case 'DIV': case 'SECTION': return 5;
+            case 'PRE': case 'TD': case 'BLOCKQUOTE': return 3;
+            case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM': return -3;
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': return -5;
+            default: return 0;
+        }
+    },
+
+    /**
+     * Score adjustment from class/id/itemprop hints
+     * @param {Element} element
+     * @returns {number}
+     */
+    getClassWeight(element) {
+        let weight = 0;
+        const className = typeof element.className === 'string' ? element.className : '';
+
+        if (className) {
+            if (EXTRACTOR_PATTERNS.negative.test(className)) weight -= 25;
+            if (EXTRACTOR_PATTERNS.positive.test(className)) weight += 25;
+        }
+        if (element.id) {
+            if (EXTRACTOR_PATTERNS.negative.test(element.id)) weight -= 25;
+            if (EXTRACTOR_PATTERNS.positive.test(element.id)) weight += 25;
+        }
+        if (element.getAttribute('itemprop') === 'articleBody') weight += 25;
+
+        return weight;
+    },
+
+    /**
+     * Share of an element's text that sits inside links (0-1)
+     * @param {Element} element
+     * @returns {number}
+     */
+    getLinkDensity(element) {
+        const textLength = this.getInnerText(element).length;
+        if (textLength === 0) return 0;
+
+        let linkLength = 0;
+        element.querySelectorAll('a').forEach(link => {
+            const href = link.getAttribute('href');
+            // In-page anchors (footnotes, tables of contents) count less than outbound links
+            const coefficient = href && href.startsWith('#') ? 0.3 : 1;
+            linkLength += this.getInnerText(link).length * coefficient;
+        });
+
+        return Math.min(linkLength / textLength, 1);
+    },
+
+    /**
+     * Normalized text content
+     * @param {Element} element
+     * @returns {string}
+     */
+    getInnerText(element) {
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Short CSS-like description of an element for debugging, e.g. "div#main.post-body"
+     * @param {Element} element
+     * @returns {string}
+     */
+    describeElement(element) {
+        let label = element.tagName.toLowerCase();
+        if (element.id) label += '#' + element.id;
+        const className = typeof element.className === 'string' ? element.className.trim() : '';
+        if (className) label += '.' + className.split(/\s+/).slice(0, 3).join('.');
+        return label;
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.ContentExtractor = ContentExtractor;
+}
@@ -0,0 +1,391 @@
+/**
+ * Crawler
+ * Follows same-origin links from a start page, breadth first, and converts every
+ * page it reaches. Files mirror the site's URL paths so links between crawled
+ * pages can be rewritten to relative .md links.
+ * Requires converters/html-converter.js, converters/link-resolver.js and
+ * utils/downloads.js to be loaded first
+ */
+
+// Linked files that are never HTML pages
+const CRAWL_SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|tgz|tar|rar|7z|exe|dmg|pkg|deb|rpm|msi|iso|png|jpe?g|gif|webp|avif|svg|ico|bmp|mp3|mp4|m4a|wav|ogg|webm|mov|avi|woff2?|ttf|otf|eot|css|js|mjs|json|xml|rss|atom|csv|txt|docx?|xlsx?|pptx?)$/i;
+
+// User agent tokens whose robots.txt rules apply to us, most specific first
+const ROBOTS_USER_AGENTS = ['markitdown', '*'];
+
+// Longest wait honoured from a robots.txt Crawl-delay (seconds)
+const MAX_ROBOTS_CRAWL_DELAY = 30;
+
+const Crawler = {
+    /**
+     * Crawl from a page and convert everything reached
+     * @param {string} startUrl - First page; only pages on its origin are crawled
+     * @param {Object} options - Crawl options
+     * @param {number} options.maxDepth - Link hops to follow from the start page
+     * @param {number} options.maxPages - Pages to convert before stopping
+     * @param {number} options.delayMs - Pause between requests (raised to the site's Crawl-delay)
+     * @param {string} options.linkSelector - Only follow links inside elements matching this selector ('' = anywhere)
+     * @param {Object} options.settings - Extension settings used for each conversion
+     * @param {Function} onProgress - Called with {converted, queued, url} after each page
+     * @returns {Promise<{files: Array<{name: string, data: string}>, pages: Array, skipped: Array, failures: Array}>}
+     */
+    async crawl(startUrl, options = {}, onProgress = () => {}) {
+        const { maxDepth = 2, maxPages = 50, delayMs = 1000, linkSelector = '', settings = {} } = options;
+        const origin = new URL(startUrl).origin;
+        const robots = await this.loadRobots(origin);
+        const delay = Math.max(delayMs, robots.crawlDelay * 1000);
+
+        const queue = [{ url: this.normalizeUrl(startUrl), depth: 0 }];
+        const queued = new Set([queue[0].url]);
+        const aliases = new Map();  // Normalized URL -> canonical URL of the converted page
+        const pages = new Map();    // Canonical URL -> {url, title, file, markdown}
+        const skipped = [];
+        const failures = [];
+        let requests = 0;
+
+        while (queue.length > 0 && pages.size < maxPages) {
+            const { url, depth } = queue.shift();
+            if (!this.isAllowed(robots, url)) {
+                skipped.push({ url, reason: 'Disallowed by robots.txt' });
+                continue;
+            }
+
+            if (requests++ > 0) await this.sleep(delay);
+
+            try {
+                const page = await this.fetchPage(url);
+                if (new URL(page.url).origin !== origin) {
+                    skipped.push({ url, reason: `Redirects to ${page.url}` });
+                    continue;
+                }
+
+                const doc = new DOMParser().parseFromString(page.html, 'text/html');
+                const canonical = this.getCanonicalUrl(doc, page.url, origin);
+                aliases.set(url, canonical);
+                aliases.set(this.normalizeUrl(page.url), canonical);
+                if (pages.has(canonical)) continue;
+                queued.add(canonical);
+
+                // Links are collected before conversion, which may drop the navigation they sit in
+                if (depth < maxDepth) {
+                    this.getLinks(doc, page.url, origin, linkSelector).forEach(link => {
+                        if (queued.has(link)) return;
+                        queued.add(link);
+                        queue.push({ url: link, depth: depth + 1 });
+                    });
+                }
+
+                // Relative links resolve against the fetched URL; the canonical one only names and de-duplicates the page
+                const markdown = await HtmlConverter.convertPage({ html: page.html, url: page.url, title: doc.title }, settings);
+                pages.set(canonical, { url: canonical, title: doc.title || canonical, file: this.getFilePath(canonical), markdown });
+                onProgress({ converted: pages.size, queued: queue.length, url: canonical });
+            } catch (error) {
+                console.warn(`MarkItDown: Crawl failed for ${url}:`, error);
+                failures.push({ url, error: error.message });
+            }
+        }
+
+        this.assignUniqueFiles(pages);
+        const resolve = url => pages.get(aliases.get(this.normalizeUrl(url)) || this.normalizeUrl(url));
+        const files = Array.from(pages.values()).map(page => ({
+            name: page.file,
+            data: this.rewriteLinks(page.markdown, page.file, resolve)
+        }));
+
+        const result = { pages: Array.from(pages.values()), skipped, failures, remaining: queue.length };
+        files.push({ name: '_crawl-report.md', data: this.buildReport(startUrl, result) });
+        return { files, ...result };
+    },
+
+    /**
+     * Download a page
+     * @param {string} url
+     * @returns {Promise<{html: string, url: string}>} HTML and the final URL after redirects
+     */
+    async fetchPage(url) {
+        const response = await fetch(url, { credentials: 'include', signal: AbortSignal.timeout(30000) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const type = response.headers.get('content-type') || '';
+        if (type && !/html/i.test(type)) throw new Error(`Not an HTML page (${type.split(';')[0]})`);
+
+        return { html: await response.text(), url: response.url || url };
+    },
+
+    /**
+     * URL used to recognise a page: no fragment, no tracking parameters
+     * @param {string} url
+     * @returns {string}
+     */
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.hash = '';
+            return LinkResolver.stripTrackingParams(parsed.href);
+        } catch (e) {
+            return url;
+        }
+    },
+
+    /**
+     * The page's <link rel="canonical"> when it is on the crawled origin, otherwise its own URL
+     * @param {Document} doc
+     * @param {string} pageUrl - Final URL of the page
+     * @param {string} origin - Crawled origin
+     * @returns {string} Normalized URL
+     */
+    getCanonicalUrl(doc, pageUrl, origin) {
+        const link = doc.querySelector('link[rel~="canonical"][href]');
+        if (link) {
+            try {
+                const canonical = new URL(link.getAttribute('href'), pageUrl);
+                if (canonical.origin === origin) return this.normalizeUrl(canonical.href);
+            } catch (e) {
+                // Fall back to the page URL
+            }
+        }
+        return this.normalizeUrl(pageUrl);
+    },
+
+    /**
+     * Same-origin page links, optionally only those inside the link container
+     * @param {Document} doc
+     * @param {string} pageUrl - Base for relative links
+     * @param {string} origin - Crawled origin
+     * @param {string} linkSelector - Container selector ('' = whole page)
+     * @returns {string[]} Normalized URLs
+     */
+    getLinks(doc, pageUrl, origin, linkSelector) {
+        let containers = [doc];
+        if (linkSelector) {
+            try {
+                containers = Array.from(doc.querySelectorAll(linkSelector));
+            } catch (e) {
+                console.warn(`MarkItDown: Invalid crawl link selector "${linkSelector}"`);
+            }
+        }
+
+        const base = LinkResolver.getBaseUrl(doc, pageUrl) || pageUrl;
+        const links = new Set();
+        containers.forEach(container => {
+            container.querySelectorAll('a[href]').forEach(link => {
+                if (/\bnofollow\b/i.test(link.getAttribute('rel') || '') || link.hasAttribute('download')) return;
+                try {
+                    const url = new URL(link.getAttribute('href'), base);
+                    if (url.origin !== origin || CRAWL_SKIPPED_EXTENSIONS.test(url.pathname)) return;
+                    links.add(this.normalizeUrl(url.href));
+                } catch (e) {
+                    // Ignore malformed links
+                }
+            });
+        });
+        return Array.from(links);
+    },
+
+    /**
+     * Path of the Markdown file for a page, mirroring its URL path
+     * /docs/guide/ -> docs/guide/index.md, /docs/intro.html -> docs/intro.md
+     * @param {string} url - Page URL
+     * @returns {string}
+     */
+    getFilePath(url) {
+        const parsed = new URL(url);
+        const segments = parsed.pathname.split('/').map(segment => {
+            try {
+                return decodeURIComponent(segment);
+            } catch (e) {
+                return segment;
+            }
+        });
+        if (!segments[segments.length - 1]) segments[segments.length - 1] = 'index';
+
+        let name = segments.pop().replace(/\.(html?|php|aspx?|jsp)$/i, '');
+        if (parsed.search) name += `-${Downloads.slugify(parsed.search) || 'query'}`;
+
+        const folders = segments.map(segment => Downloads.sanitizeSegment(segment)).filter(Boolean);
+        return [...folders, `${Downloads.sanitizeSegment(name) || 'index'}.md`].join('/');
+    },
+
+    /**
+     * Give pages whose URLs map to the same file distinct names
+     * @param {Map<string, Object>} pages - Converted pages (updated in place)
+     */
+    assignUniqueFiles(pages) {
+        const used = new Set();
+        pages.forEach(page => {
+            const base = page.file.replace(/\.md$/, '');
+            let file = page.file;
+            for (let n = 2; used.has(file.toLowerCase()); n++) file = `${base}-${n}.md`;
+            used.add(file.toLowerCase());
+            page.file = file;
+        });
+    },
+
+    /**
+     * Point links to crawled pages at their files, relative to the linking file
+     * Covers inline links and the definitions of reference-style links
+     * @param {string} markdown
+     * @param {string} fromFile - File the Markdown is written to
+     * @param {Function} resolve - URL -> crawled page or undefined
+     * @returns {string}
+     */
+    rewriteLinks(markdown, fromFile, resolve) {
+        const rewrite = url => {
+            const page = /^https?:/i.test(url) ? resolve(url) : null;
+            if (!page) return null;
+            const hash = url.includes('#') ? url.slice(url.indexOf('#')) : '';
+            return this.getRelativePath(fromFile, page.file) + hash;
+        };
+
+        return markdown
+            .replace(/(?<!!)(\[[^\]]*\]\()(\S+?)((?:\s+"[^"]*")?\))/g, (match, before, url, after) => {
+                const local = rewrite(url);
+                return local ? before + local + after : match;
+            })
+            .replace(/^(\[\d+\]: )(\S+)/gm, (match, before, url) => {
+                const local = rewrite(url);
+                return local ? before + local : match;
+            });
+    },
+
+    /**
+     * Relative path from one file to another inside the archive
+     * @param {string} fromFile - e.g. docs/guide/intro.md
+     * @param {string} toFile - e.g. docs/api.md
+     * @returns {string} e.g. ../api.md
+     */
+    getRelativePath(fromFile, toFile) {
+        const from = fromFile.split('/').slice(0, -1);
+        const to = toFile.split('/');
+        let common = 0;
+        while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+        const path = [...Array(from.length - common).fill('..'), ...to.slice(common)].join('/');
+        return encodeURI(path);
+    },
+
+    /**
+     * Summary of the crawl, written next to the pages
+     * @param {string} startUrl
+     * @param {Object} result - Pages, skipped URLs, failures and the number left in the queue
+     * @returns {string} Markdown
+     */
+    buildReport(startUrl, { pages, skipped, failures, remaining }) {
+        let markdown = `# Crawl of ${startUrl}\n\n`;
+        markdown += `Captured ${new Date().toISOString()}: ${pages.length} page${pages.length === 1 ? '' : 's'} converted`;
+        markdown += remaining > 0 ? `, ${remaining} more found but not crawled (page limit reached).\n\n` : '.\n\n';
+
+        markdown += '## Pages\n\n' + pages.map(page =>
+            `- [${page.title.replace(/([\\[\]])/g, '\\$1')}](${encodeURI(page.file)}) - ${page.url}`).join('\n') + '\n';
+        if (skipped.length > 0) {
+            markdown += '\n## Skipped\n\n' + skipped.map(item => `- ${item.url}: ${item.reason}`).join('\n') + '\n';
+        }
+        if (failures.length > 0) {
+            markdown += '\n## Failed\n\n' + failures.map(item => `- ${item.url}: ${item.error}`).join('\n') + '\n';
+        }
+        return markdown;
+    },
+
+    /**
+     * Fetch and parse an origin's robots.txt
+     * A missing or unreadable file allows everything
+     * @param {string} origin
+     * @returns {Promise<{rules: Array<{allow: boolean, path: string}>, crawlDelay: number}>}
+     */
+    async loadRobots(origin) {
+        try {
+            const response = await fetch(`${origin}/robots.txt`, { signal: AbortSignal.timeout(10000) });
+            if (!response.ok) return { rules: [], crawlDelay: 0 };
+            return this.parseRobots(await response.text());
+        } catch (e) {
+            return { rules: [], crawlDelay: 0 };
+        }
+    },
+
+    /**
+     * Rules from robots.txt for the most specific matching user agent group
+     * @param {string} text - robots.txt content
+     * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay: number}}
+     */
+    parseRobots(text) {
+        const groups = [];
+        let group = null;
+        let lastWasAgent = false;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+            if (!match) return;
+
+            const field = match[1].toLowerCase();
+            const value = match[2].trim();
+            if (field === 'user-agent') {
+                // Consecutive User-agent lines share one group
+                if (!lastWasAgent) {
+                    group = { agents: [], rules: [], crawlDelay: 0 };
+                    groups.push(group);
+                }
+                group.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                return;
+            }
+
+            lastWasAgent = false;
+            if (!group) return;
+            if ((field === 'allow' || field === 'disallow') && value) {
+                group.rules.push({ allow: field === 'allow', path: value });
+            } else if (field === 'crawl-delay') {
+                group.crawlDelay = Math.min(parseFloat(value) || 0, MAX_ROBOTS_CRAWL_DELAY);
+            }
+        });
+
+        for (const agent of ROBOTS_USER_AGENTS) {
+            const matching = groups.filter(g => g.agents.some(name => agent === '*' ? name === '*' : name.includes(agent)));
+            if (matching.length > 0) {
+                return {
+                    rules: matching.flatMap(g => g.rules),
+                    crawlDelay: Math.max(...matching.map(g => g.crawlDelay))
+                };
+            }
+        }
+        return { rules: [], crawlDelay: 0 };
+    },
+
+    /**
+     * Whether robots.txt lets us fetch a URL (longest matching rule wins, Allow wins ties)
+     * @param {Object} robots - Parsed robots.txt
+     * @param {string} url
+     * @returns {boolean}
+     */
+    isAllowed(robots, url) {
+        const parsed = new URL(url);
+        const path = parsed.pathname + parsed.search;
+        let best = null;
+
+        robots.rules.forEach(rule => {
+            const pattern = new RegExp('^' + rule.path
+                .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*/g, '.*')
+                .replace(/\\\$$/, '$'));
+            if (!pattern.test(path)) return;
+            if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+                best = rule;
+            }
+        });
+
+        return !best || best.allow;
+    },
+
+    /**
+     * Wait between requests
+     * @param {number} ms
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.Crawler = Crawler;
+}
@@ -3,6 +3,24 @@
  * Handles CSV, JSON, and XML conversion to Markdown
  */
 
+// Delimiters tried when sniffing delimited text, in order of preference
+const CSV_DELIMITERS = [',', '\t', ';', '|'];
+
+// Rows rendered before a large table is truncated
+const CSV_MAX_ROWS = 500;
+
+// Namespaces of the feed extensions read by convertFeed, by their usual prefix
+const XML_NAMESPACES = {
+    atom: 'http://www.w3.org/2005/Atom',
+    content: 'http://purl.org/rss/1.0/modules/content/',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    itunes: 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+    media: 'http://search.yahoo.com/mrss/'
+};
+
+// Longest inline JSON shown for values nested past the depth limit (or inside table cells)
+const JSON_INLINE_LENGTH = 80;
+
 const DataConverter = {
     /**
      * Detect data type from content
@@ -12,7 +30,7 @@ const DataConverter = {
     detectType(content) {
         const trimmed = content.trim();
 
-        // JSON detection
+        // JSON detection (a single document)
         if ((trimmed.startsWith('{') && trimmed.endsWith('}')) ||
             (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
             try {
@@ -21,106 +39,519 @@ const DataConverter = {
             } catch (e) { }
         }
 
+        // JSON Lines (one object or array per line; the first and last lines can hold different kinds)
+        // Other values are left out so a column of numbers is not taken for JSON
+        if (/^[{[]/.test(trimmed)) {
+            const lines = this.parseJsonLines(trimmed);
+            if (lines && lines.every(line => this.isJsonContainer(line))) return 'json';
+        }
+
         // XML detection
         if (trimmed.startsWith('<?xml') || trimmed.startsWith('<')) {
             try {
-                new DOMParser().parseFromString(trimmed, 'text/xml');
-                return 'xml';
+                const doc = new DOMParser().parseFromString(trimmed, 'text/xml');
+                if (!doc.querySelector('parsererror')) return 'xml';
             } catch (e) { }
         }
 
-        // CSV detection (has commas and newlines, consistent column count)
-        const lines = trimmed.split('\n');
-        if (lines.length > 1) {
-            const firstLineCommas = (lines[0].match(/,/g) || []).length;
-            if (firstLineCommas > 0) {
-                const allMatch = lines.slice(0, 5).every(line => {
-                    const commas = (line.match(/,/g) || []).length;
-                    return Math.abs(commas - firstLineCommas) <= 1;
-                });
-                if (allMatch) return 'csv';
-            }
-        }
+        // CSV/TSV detection (several rows with a consistent number of delimited columns)
+        if (this.sniffDelimiter(trimmed)) return 'csv';
 
         return 'unknown';
     },
 
     /**
-     * Convert JSON to Markdown
+     * Map a MIME type (e.g. from document.contentType or File.type) to a data type
+     * @param {string} mimeType - MIME type, parameters allowed
+     * @returns {string|null} 'json', 'csv' (including TSV), 'xml', or null if not a data type
+     */
+    getTypeFromMimeType(mimeType) {
+        const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+        if (type === 'application/json' || type === 'text/json' || type.endsWith('+json')) return 'json';
+        if (type === 'text/csv' || type === 'application/csv' || type === 'text/comma-separated-values' ||
+            type === 'text/tab-separated-values') return 'csv';
+        if (type === 'application/xml' || type === 'text/xml' || type.endsWith('+xml')) return 'xml';
+        return null;
+    },
+
+    /**
+     * Map a file name extension to a data type
+     * @param {string} filename - File name or URL path
+     * @returns {string|null} 'json', 'csv', 'xml', or null if not recognised
+     */
+    getTypeFromFilename(filename) {
+        const extension = (filename || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+
+        switch (extension) {
+            case 'json': return 'json';
+            case 'csv': case 'tsv': return 'csv';
+            case 'xml': case 'rss': case 'atom': case 'opml': return 'xml';
+            default: return null;
+        }
+    },
+
+    /**
+     * Field delimiter implied by a TSV file name or MIME type
+     * @param {string} filename - File name or URL path
+     * @param {string} mimeType - MIME type, parameters allowed
+     * @returns {string|undefined} '\t' for TSV, otherwise undefined (convertCsv sniffs the delimiter)
+     */
+    getDelimiter(filename, mimeType) {
+        const extension = (filename || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+        const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+        return extension === 'tsv' || type === 'text/tab-separated-values' ? '\t' : undefined;
+    },
+
+    /**
+     * Convert JSON or JSON Lines to Markdown
      * @param {string} jsonString - JSON content
+     * @param {Object} options - Rendering options
+     * @param {string} options.mode - 'auto' (tables and sections), 'outline' (nested lists) or 'code' (fenced JSON)
+     * @param {number} options.maxDepth - Nesting depth rendered before falling back to inline JSON
+     * @param {number} options.maxItems - Array items rendered before truncating
      * @returns {string} Markdown
      */
-    convertJson(jsonString) {
+    convertJson(jsonString, options = {}) {
+        const { mode = 'auto', maxDepth = 6, maxItems = 200 } = options;
+
+        let data;
         try {
-            const data = JSON.parse(jsonString);
-            const formatted = JSON.stringify(data, null, 2);
-            return '```json\n' + formatted + '\n```';
+            data = JSON.parse(jsonString);
         } catch (e) {
-            return '**Error parsing JSON:** ' + e.message + '\n\n```\n' + jsonString + '\n```';
+            data = this.parseJsonLines(jsonString);
+            if (!data) {
+                return '**Error parsing JSON:** ' + e.message + '\n\n```\n' + jsonString + '\n```';
+            }
         }
+
+        if (mode === 'code') {
+            return '```json\n' + JSON.stringify(data, null, 2) + '\n```';
+        }
+
+        const limits = { maxDepth, maxItems };
+        if (mode === 'outline') {
+            return this.renderJsonOutline(data, 0, limits).join('\n') + '\n';
+        }
+        return this.renderJsonSection(data, '', 2, limits).trim() + '\n';
     },
 
     /**
-     * Convert CSV to Markdown table
-     * @param {string} csvString - CSV content
-     * @returns {string} Markdown table
+     * Parse JSON Lines / NDJSON (one JSON value per non-empty line)
+     * @param {string} text - Raw content
+     * @returns {Array|null} Parsed values, or null if any line is not JSON
      */
-    convertCsv(csvString) {
-        const lines = csvString.trim().split('\n');
-        if (lines.length === 0) return '';
+    parseJsonLines(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (lines.length < 2) return null;
 
-        const rows = lines.map(line => this.parseCSVLine(line));
+        try {
+            return lines.map(line => JSON.parse(line));
+        } catch (e) {
+            return null;
+        }
+    },
 
-        if (rows.length === 0) return '';
+    /**
+     * Render a JSON value as sections: key lists for scalars, tables for arrays of
+     * objects and a heading named by its dotted key path for each nested value
+     * @param {*} value - JSON value
+     * @param {string} path - Dotted key path of the value ('' for the root)
+     * @param {number} level - Heading level for nested values
+     * @param {Object} limits - { maxDepth, maxItems }
+     * @returns {string} Markdown
+     */
+    renderJsonSection(value, path, level, limits) {
+        const depth = level - 2;
+        if (!this.isJsonContainer(value)) return this.formatJsonScalar(value) + '\n\n';
+        if (depth >= limits.maxDepth) return this.formatJsonInline(value) + '\n\n';
+
+        if (Array.isArray(value)) {
+            const items = value.slice(0, limits.maxItems);
+            let markdown;
+
+            if (this.isObjectArray(items)) {
+                markdown = this.renderJsonTable(items);
+            } else if (!items.some(item => this.isJsonContainer(item))) {
+                markdown = items.map(item => `- ${this.formatJsonScalar(item)}`).join('\n') + '\n';
+            } else {
+                markdown = items.map((item, i) => {
+                    const itemPath = `${path}[${i}]`;
+                    return this.formatJsonHeading(itemPath, level) + this.renderJsonSection(item, itemPath, level + 1, limits);
+                }).join('');
+            }
+
+            return markdown + this.formatTruncated(value.length - items.length, 'item') + '\n';
+        }
+
+        const entries = Object.entries(value);
+        const scalars = entries.filter(([, child]) => !this.isJsonContainer(child) || this.isEmptyJsonContainer(child));
+        const nested = entries.filter(([, child]) => this.isJsonContainer(child) && !this.isEmptyJsonContainer(child));
 
-        // Build markdown table
         let markdown = '';
+        if (scalars.length > 0) {
+            markdown += scalars.map(([key, child]) => `- **${this.escapeHtml(key)}:** ${this.formatJsonScalar(child)}`).join('\n') + '\n\n';
+        }
+        nested.forEach(([key, child]) => {
+            const childPath = path ? `${path}.${key}` : key;
+            markdown += this.formatJsonHeading(childPath, level) + this.renderJsonSection(child, childPath, level + 1, limits);
+        });
 
-        // Header
-        markdown += '| ' + rows[0].join(' | ') + ' |\n';
-        markdown += '| ' + rows[0].map(() => '---').join(' | ') + ' |\n';
+        return markdown || '`{}`\n\n';
+    },
+
+    /**
+     * Render a JSON value as a nested bullet list
+     * @param {*} value - JSON value
+     * @param {number} depth - Current nesting depth
+     * @param {Object} limits - { maxDepth, maxItems }
+     * @returns {string[]} Markdown lines
+     */
+    renderJsonOutline(value, depth, limits) {
+        if (!this.isJsonContainer(value)) return [`- ${this.formatJsonScalar(value)}`];
+
+        const indent = '  '.repeat(depth);
+        const isArray = Array.isArray(value);
+        const entries = isArray
+            ? value.slice(0, limits.maxItems).map((item, i) => [`[${i}]`, item])
+            : Object.entries(value);
+        const lines = [];
+
+        entries.forEach(([key, child]) => {
+            const label = isArray ? key : `**${this.escapeHtml(key)}:**`;
+            if (!this.isJsonContainer(child) || this.isEmptyJsonContainer(child)) {
+                // Scalar array items need no index label
+                lines.push(`${indent}- ${isArray ? '' : label + ' '}${this.formatJsonScalar(child)}`);
+            } else if (depth + 1 >= limits.maxDepth) {
+                lines.push(`${indent}- ${label} ${this.formatJsonInline(child)}`);
+            } else {
+                lines.push(`${indent}- ${label}`);
+                lines.push(...this.renderJsonOutline(child, depth + 1, limits));
+            }
+        });
 
-        // Data rows
-        for (let i = 1; i < rows.length; i++) {
-            markdown += '| ' + rows[i].join(' | ') + ' |\n';
+        if (isArray && value.length > entries.length) {
+            lines.push(`${indent}- ${this.formatTruncated(value.length - entries.length, 'item').trim()}`);
         }
 
+        return lines;
+    },
+
+    /**
+     * Render objects as a table with the union of their keys as columns
+     * @param {Object[]} items - Objects to render
+     * @returns {string} Markdown table
+     */
+    renderJsonTable(items) {
+        const columns = [];
+        items.forEach(item => Object.keys(item).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        }));
+
+        const formatRow = cells => '| ' + cells.map(cell => this.escapeTableCell(cell)).join(' | ') + ' |\n';
+        // Strings only need their HTML escaped: Markdown markers do nothing inside a cell,
+        // and escapeTableCell would double the backslash escapes of formatJsonScalar
+        const formatCell = value => {
+            if (value === undefined) return '';
+            if (typeof value === 'string') return this.escapeHtml(value);
+            return this.isJsonContainer(value) ? this.formatJsonInline(value) : this.formatJsonScalar(value);
+        };
+
+        let markdown = formatRow(columns.map(column => this.escapeHtml(column)));
+        markdown += '| ' + columns.map(() => '---').join(' | ') + ' |\n';
+        items.forEach(item => { markdown += formatRow(columns.map(column => formatCell(item[column]))); });
         return markdown;
     },
 
     /**
-     * Parse a single CSV line (handles quoted values)
-     * @param {string} line - CSV line
-     * @returns {string[]} Array of values
+     * Heading for a nested JSON value
+     * @param {string} path - Dotted key path
+     * @param {number} level - Heading level (list items are used past level 6)
+     * @returns {string}
+     */
+    formatJsonHeading(path, level) {
+        const text = this.escapeHtml(path);
+        return level <= 6 ? `${'#'.repeat(level)} ${text}\n\n` : `**${text}**\n\n`;
+    },
+
+    /**
+     * Format a scalar JSON value for Markdown text
+     * @param {*} value - String, number, boolean, null or container
+     * @returns {string}
      */
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
+    formatJsonScalar(value) {
+        if (typeof value === 'string') return this.escapeJsonString(value).replace(/\r?\n/g, '<br>');
+        if (this.isJsonContainer(value)) return this.formatJsonInline(value);
+        return value === null ? '`null`' : String(value);
+    },
+
+    /**
+     * Compact JSON in a code span, shortened to JSON_INLINE_LENGTH characters
+     * @param {*} value - JSON value
+     * @returns {string}
+     */
+    formatJsonInline(value) {
+        let json = JSON.stringify(value);
+        if (json.length > JSON_INLINE_LENGTH) json = json.slice(0, JSON_INLINE_LENGTH - 1) + '…';
+
+        // A fence longer than any backtick run inside, padded when the JSON starts or ends with one
+        const longestRun = Math.max(0, ...(json.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        const padding = /^`|`$/.test(json) ? ' ' : '';
+        return fence + padding + json + padding + fence;
+    },
+
+    /**
+     * Make a JSON string display as text: HTML-significant characters become entities
+     * and a leading Markdown marker (# heading, - list, 1. list, ``` fence...) is escaped
+     * @param {string} text - String value
+     * @returns {string}
+     */
+    escapeJsonString(text) {
+        return this.escapeHtml(text)
+            .replace(/^(\s*)(\d+)([.)])/, '$1$2\\$3')
+            .replace(/^(\s*)([#+\-*=`~|_])/, '$1\\$2');
+    },
+
+    /**
+     * Replace the characters that would start HTML markup with entities
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    },
+
+    /**
+     * Italic footer noting items that were not rendered
+     * @param {number} count - Number of omitted items
+     * @param {string} noun - Singular name of an item
+     * @param {string} plural - Plural name, if not noun + 's'
+     * @returns {string} Footer line, or '' when nothing was omitted
+     */
+    formatTruncated(count, noun, plural = noun + 's') {
+        if (count <= 0) return '';
+        return `\n*${count} more ${count === 1 ? noun : plural} truncated*\n`;
+    },
+
+    /**
+     * @param {*} value
+     * @returns {boolean} True for objects and arrays
+     */
+    isJsonContainer(value) {
+        return value !== null && typeof value === 'object';
+    },
+
+    /**
+     * @param {*} value
+     * @returns {boolean} True for {} and []
+     */
+    isEmptyJsonContainer(value) {
+        return this.isJsonContainer(value) && Object.keys(value).length === 0;
+    },
+
+    /**
+     * @param {Array} items
+     * @returns {boolean} True when every item is a (non-array) object
+     */
+    isObjectArray(items) {
+        return items.length > 0 && items.every(item => this.isJsonContainer(item) && !Array.isArray(item));
+    },
+
+    /**
+     * Convert CSV/TSV to a Markdown table
+     * @param {string} csvString - Delimited text (RFC 4180 quoting)
+     * @param {Object} options - Conversion options
+     * @param {string} options.delimiter - Field delimiter (sniffed if omitted)
+     * @param {number} options.maxRows - Data rows to render before truncating
+     * @returns {string} Markdown table
+     */
+    convertCsv(csvString, options = {}) {
+        const text = csvString.replace(/^\uFEFF/, '');
+        const { delimiter = this.sniffDelimiter(text) || ',', maxRows = CSV_MAX_ROWS } = options;
+
+        // Keep maxRows data rows plus the possible header row, counting the rest
+        const rows = [];
+        let truncated = 0;
+        for (const row of this.parseCsvRows(text, delimiter)) {
+            if (row.length === 1 && row[0] === '') continue;
+            if (rows.length <= maxRows) {
+                rows.push(row);
+            } else {
+                truncated++;
+            }
+        }
+        if (rows.length === 0) return '';
+
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const pad = row => [...row, ...new Array(columnCount - row.length).fill('')];
+
+        // Columns without a name (no header row, or ragged rows wider than it) are numbered
+        const hasHeader = this.hasHeaderRow(rows);
+        const header = pad(hasHeader ? rows[0] : []).map((name, i) => name.trim() || `Column ${i + 1}`);
+        let body = hasHeader ? rows.slice(1) : rows;
+
+        // The header row was read from the capped rows, so a headerless table may hold one too many
+        if (body.length > maxRows) {
+            truncated += body.length - maxRows;
+            body = body.slice(0, maxRows);
+        }
+
+        const formatRow = cells => '| ' + cells.map(cell => this.escapeTableCell(cell)).join(' | ') + ' |\n';
+
+        let markdown = formatRow(header);
+        markdown += '| ' + header.map(() => '---').join(' | ') + ' |\n';
+        body.forEach(row => { markdown += formatRow(pad(row)); });
+
+        return markdown + this.formatTruncated(truncated, 'row');
+    },
+
+    /**
+     * Parse delimited text one row at a time (RFC 4180)
+     * Quoted fields may contain delimiters, line breaks and doubled quotes ("")
+     * @param {string} text - Delimited text
+     * @param {string} delimiter - Field delimiter
+     * @yields {string[]} Row values
+     */
+    *parseCsvRows(text, delimiter = ',') {
+        let row = [];
+        let field = '';
         let inQuotes = false;
+        let i = 0;
 
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+        while (i < text.length) {
+            const char = text[i];
 
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field.trim() === '') {
+                // Only an opening quote at the start of a field begins a quoted value
+                field = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                yield row;
+                row = [];
+                field = '';
             } else {
-                current += char;
+                field += char;
             }
+            i++;
         }
-        result.push(current.trim());
 
-        return result;
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            yield row;
+        }
+    },
+
+    /**
+     * Find the delimiter that splits the first rows into a consistent number of columns
+     * @param {string} text - Delimited text
+     * @returns {string|null} Delimiter, or null if the text does not look delimited
+     */
+    sniffDelimiter(text) {
+        let best = null;
+        let bestScore = 0;
+
+        for (const delimiter of CSV_DELIMITERS) {
+            const counts = [];
+            for (const row of this.parseCsvRows(text.replace(/^\uFEFF/, ''), delimiter)) {
+                if (row.length === 1 && row[0] === '') continue;
+                counts.push(row.length);
+                if (counts.length >= 10) break;
+            }
+            if (counts.length < 2) continue;
+
+            // Most common width must span 2+ columns and cover 2+ rows and half the sample (ragged rows allowed)
+            const frequency = new Map();
+            counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+            const [width, matches] = [...frequency.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+            if (width < 2 || matches < 2 || matches / counts.length < 0.5) continue;
+
+            const score = (matches / counts.length) * width;
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Guess whether the first row holds column names
+     * Votes per column: a text header above numbers, or a header whose length differs
+     * from uniformly sized values, counts for; a header that looks like the data counts against
+     * @param {string[][]} rows - Parsed rows
+     * @returns {boolean}
+     */
+    hasHeaderRow(rows) {
+        const [first, ...data] = rows;
+        if (data.length === 0) return true;
+
+        const names = first.map(cell => cell.trim());
+        if (names.some(name => name === '') || new Set(names).size !== names.length) return false;
+
+        const isNumeric = value => value.trim() !== '' && !isNaN(Number(value.trim().replace(/,/g, '')));
+        let votes = 0;
+
+        names.forEach((name, column) => {
+            const values = data.map(row => row[column] || '').filter(value => value.trim() !== '').slice(0, 20);
+            if (values.length === 0) return;
+
+            if (values.every(isNumeric)) {
+                votes += isNumeric(name) ? -1 : 1;
+                return;
+            }
+
+            const lengths = new Set(values.map(value => value.length));
+            if (lengths.size === 1) {
+                votes += lengths.has(name.length) ? -1 : 1;
+            }
+        });
+
+        return votes >= 0;
+    },
+
+    /**
+     * Escape a value for use inside a Markdown table cell
+     * @param {string} value - Cell value
+     * @returns {string}
+     */
+    escapeTableCell(value) {
+        return String(value)
+            .trim()
+            .replace(/\\/g, '\\\\')
+            .replace(/\|/g, '\\|')
+            .replace(/\r?\n|\r/g, '<br>');
     },
 
     /**
      * Convert XML to Markdown
+     * Feeds, OPML subscription lists and sitemaps get dedicated layouts; anything else becomes an outline
      * @param {string} xmlString - XML content
+     * @param {Object} options - Rendering options
+     * @param {number} options.maxDepth - Outline depth before falling back to an XML code block
+     * @param {number} options.maxItems - Feed items, sitemap URLs or sibling elements rendered before truncating
      * @returns {string} Markdown
      */
-    convertXml(xmlString) {
+    convertXml(xmlString, options = {}) {
+        const limits = { maxDepth: options.maxDepth || 6, maxItems: options.maxItems || 200 };
+
         try {
             const parser = new DOMParser();
             const doc = parser.parseFromString(xmlString, 'text/xml');
@@ -131,116 +562,565 @@ const DataConverter = {
                 return '**Error parsing XML**\n\n```xml\n' + xmlString + '\n```';
             }
 
-            // Try to detect RSS/Atom feeds
-            if (doc.querySelector('rss, feed, channel')) {
-                return this.convertFeed(doc);
+            const root = doc.documentElement;
+            switch (root.localName) {
+                case 'rss':
+                case 'RDF':
+                case 'feed':
+                    return this.convertFeed(doc, limits);
+                case 'opml':
+                    return this.convertOpml(doc);
+                case 'urlset':
+                case 'sitemapindex':
+                    return this.convertSitemap(doc, limits);
+                default:
+                    return this.renderXmlOutline(root, 1, limits).trim() + '\n';
             }
-
-            // Default: pretty-print as code block
-            const serializer = new XMLSerializer();
-            const formatted = this.formatXml(serializer.serializeToString(doc));
-            return '```xml\n' + formatted + '\n```';
         } catch (e) {
             return '**Error parsing XML:** ' + e.message + '\n\n```\n' + xmlString + '\n```';
         }
     },
 
     /**
-     * Convert RSS/Atom feed to Markdown
+     * Convert an RSS 2.0, RSS 1.0 (RDF) or Atom feed, including podcast and Media RSS fields
      * @param {Document} doc - Parsed XML document
+     * @param {Object} limits - { maxItems }
      * @returns {string} Markdown
      */
-    convertFeed(doc) {
+    convertFeed(doc, limits = { maxItems: 200 }) {
+        const root = doc.documentElement;
+        const isAtom = root.localName === 'feed';
+        const channel = isAtom ? root : this.getXmlChild(root, 'channel');
+        if (!channel) return '```xml\n' + this.formatXml(doc) + '\n```';
+
         let markdown = '';
 
-        // RSS format
-        const channel = doc.querySelector('channel');
-        if (channel) {
-            const title = channel.querySelector('title')?.textContent;
-            const description = channel.querySelector('description')?.textContent;
-
-            if (title) markdown += `# ${title}\n\n`;
-            if (description) markdown += `${description}\n\n`;
-
-            const items = doc.querySelectorAll('item');
-            items.forEach((item, index) => {
-                const itemTitle = item.querySelector('title')?.textContent;
-                const itemLink = item.querySelector('link')?.textContent;
-                const itemDesc = item.querySelector('description')?.textContent;
-                const pubDate = item.querySelector('pubDate')?.textContent;
-
-                if (itemTitle) {
-                    if (itemLink) {
-                        markdown += `## [${itemTitle}](${itemLink})\n`;
-                    } else {
-                        markdown += `## ${itemTitle}\n`;
-                    }
-                }
-                if (pubDate) markdown += `*${pubDate}*\n\n`;
-                if (itemDesc) markdown += `${itemDesc}\n\n`;
-                if (index < items.length - 1) markdown += '---\n\n';
+        // Feed header
+        const title = this.getXmlText(channel, 'title');
+        const description = this.getXmlText(channel, isAtom ? 'subtitle' : 'description') ||
+            this.getXmlText(channel, 'itunes:summary');
+        const link = isAtom ? this.getAtomLink(channel) : this.getXmlText(channel, 'link');
+        const image = this.getXmlAttribute(channel, 'itunes:image', 'href') ||
+            this.getXmlText(this.getXmlChild(channel, 'image'), 'url') ||
+            this.getXmlText(channel, 'logo');
+
+        if (title) markdown += `# ${title}\n\n`;
+        if (image) markdown += `![${title || 'Feed image'}](${image})\n\n`;
+        if (description) markdown += this.feedHtmlToMarkdown(description) + '\n\n';
+
+        const details = [
+            ['Website', link ? `[${link}](${link})` : ''],
+            ['Author', this.getFeedAuthors(channel).join(', ') || this.getXmlText(channel, 'managingEditor')],
+            ['Categories', this.getFeedCategories(channel).join(', ')],
+            ['Language', this.getXmlText(channel, 'language')],
+            ['Updated', this.getXmlText(channel, isAtom ? 'updated' : 'lastBuildDate') || this.getXmlText(channel, 'pubDate')]
+        ].filter(([, value]) => value);
+        if (details.length > 0) {
+            markdown += details.map(([label, value]) => `- **${label}:** ${value}`).join('\n') + '\n\n';
+        }
+
+        // Items (RSS 1.0 keeps them next to the channel rather than inside it)
+        const itemName = isAtom ? 'entry' : 'item';
+        const allItems = this.getXmlChildren(channel, itemName).concat(
+            channel === root ? [] : this.getXmlChildren(root, itemName));
+        const items = allItems.slice(0, limits.maxItems);
+
+        markdown += items.map(item => this.convertFeedItem(item, isAtom)).join('---\n\n');
+        markdown += isAtom
+            ? this.formatTruncated(allItems.length - items.length, 'entry', 'entries')
+            : this.formatTruncated(allItems.length - items.length, 'item');
+
+        return markdown.trim() + '\n';
+    },
+
+    /**
+     * Convert a single feed item or Atom entry
+     * @param {Element} item - <item> or <entry> element
+     * @param {boolean} isAtom - Whether the feed is Atom
+     * @returns {string} Markdown
+     */
+    convertFeedItem(item, isAtom) {
+        let markdown = '';
+
+        const title = this.getXmlText(item, 'title') || this.getXmlText(item, 'itunes:title');
+        const link = isAtom ? this.getAtomLink(item) : this.getXmlText(item, 'link') || this.getRssGuidLink(item);
+        if (title) {
+            markdown += link ? `## [${title}](${link})\n\n` : `## ${title}\n\n`;
+        }
+
+        // Date, author and episode line
+        const date = isAtom
+            ? this.getXmlText(item, 'published') || this.getXmlText(item, 'updated')
+            : this.getXmlText(item, 'pubDate') || this.getXmlText(item, 'dc:date');
+        const season = this.getXmlText(item, 'itunes:season');
+        const episode = this.getXmlText(item, 'itunes:episode');
+        const byline = [
+            date,
+            this.getFeedAuthors(item).join(', '),
+            episode ? (season ? `S${season}E${episode}` : `Episode ${episode}`) : '',
+            this.getXmlText(item, 'itunes:duration') ? `Duration ${this.getXmlText(item, 'itunes:duration')}` : ''
+        ].filter(Boolean);
+        if (byline.length > 0) markdown += `*${byline.join(' · ')}*\n\n`;
+
+        const categories = this.getFeedCategories(item);
+        if (categories.length > 0) markdown += `**Categories:** ${categories.join(', ')}\n\n`;
+
+        const thumbnail = this.getMediaThumbnail(item);
+        if (thumbnail) markdown += `![${title || 'Thumbnail'}](${thumbnail})\n\n`;
+
+        this.getFeedEnclosures(item).forEach(enclosure => {
+            const info = [enclosure.type, enclosure.size].filter(Boolean).join(', ');
+            markdown += `**Enclosure:** [${info || 'Download'}](${enclosure.url})\n\n`;
+        });
+
+        // Body: full content preferred over the summary
+        const content = isAtom
+            ? this.getXmlChild(item, 'content') || this.getXmlChild(item, 'summary')
+            : this.getXmlChild(item, 'content:encoded') || this.getXmlChild(item, 'description') ||
+                this.getXmlChild(item, 'itunes:summary');
+        if (content) {
+            const body = this.getAtomContentType(content) === 'text'
+                ? content.textContent.trim()
+                : this.feedHtmlToMarkdown(this.getAtomContentType(content) === 'xhtml'
+                    ? Array.from(content.children).map(child => new XMLSerializer().serializeToString(child)).join('')
+                    : content.textContent);
+            if (body) markdown += body + '\n\n';
+        }
+
+        return markdown;
+    },
+
+    /**
+     * Convert an OPML subscription list to nested links
+     * @param {Document} doc - Parsed OPML document
+     * @returns {string} Markdown
+     */
+    convertOpml(doc) {
+        const head = this.getXmlChild(doc.documentElement, 'head');
+        const body = this.getXmlChild(doc.documentElement, 'body');
+        const title = this.getXmlText(head, 'title');
+
+        const renderOutlines = (parent, depth) => this.getXmlChildren(parent, 'outline').map(outline => {
+            const indent = '  '.repeat(depth);
+            const text = outline.getAttribute('title') || outline.getAttribute('text') || 'Untitled';
+            const htmlUrl = outline.getAttribute('htmlUrl');
+            const xmlUrl = outline.getAttribute('xmlUrl');
+
+            let line;
+            if (htmlUrl) {
+                line = `[${text}](${htmlUrl})` + (xmlUrl ? ` ([feed](${xmlUrl}))` : '');
+            } else if (xmlUrl) {
+                line = `[${text}](${xmlUrl})`;
+            } else {
+                line = `**${text}**`;
+            }
+
+            const description = outline.getAttribute('description');
+            if (description) line += ` - ${description}`;
+
+            return [`${indent}- ${line}`, ...renderOutlines(outline, depth + 1)].join('\n');
+        });
+
+        const lines = body ? renderOutlines(body, 0) : [];
+        return (title ? `# ${title}\n\n` : '') + (lines.length > 0 ? lines.join('\n') + '\n' : '*No subscriptions*\n');
+    },
+
+    /**
+     * Convert a sitemap (URL table) or sitemap index (list of sitemaps)
+     * @param {Document} doc - Parsed sitemap document
+     * @param {Object} limits - { maxItems }
+     * @returns {string} Markdown
+     */
+    convertSitemap(doc, limits = { maxItems: 200 }) {
+        const root = doc.documentElement;
+
+        if (root.localName === 'sitemapindex') {
+            const sitemaps = this.getXmlChildren(root, 'sitemap');
+            const lines = sitemaps.slice(0, limits.maxItems).map(sitemap => {
+                const loc = this.getXmlText(sitemap, 'loc');
+                const lastmod = this.getXmlText(sitemap, 'lastmod');
+                return `- [${loc}](${loc})` + (lastmod ? ` (${lastmod})` : '');
             });
+            return '# Sitemap Index\n\n' + lines.join('\n') + '\n' +
+                this.formatTruncated(sitemaps.length - lines.length, 'sitemap');
         }
 
-        // Atom format
-        const feed = doc.querySelector('feed');
-        if (feed && !channel) {
-            const title = feed.querySelector('title')?.textContent;
-            if (title) markdown += `# ${title}\n\n`;
-
-            const entries = doc.querySelectorAll('entry');
-            entries.forEach((entry, index) => {
-                const entryTitle = entry.querySelector('title')?.textContent;
-                const entryLink = entry.querySelector('link')?.getAttribute('href');
-                const summary = entry.querySelector('summary, content')?.textContent;
-                const updated = entry.querySelector('updated')?.textContent;
-
-                if (entryTitle) {
-                    if (entryLink) {
-                        markdown += `## [${entryTitle}](${entryLink})\n`;
-                    } else {
-                        markdown += `## ${entryTitle}\n`;
-                    }
-                }
-                if (updated) markdown += `*${updated}*\n\n`;
-                if (summary) markdown += `${summary}\n\n`;
-                if (index < entries.length - 1) markdown += '---\n\n';
+        const urls = this.getXmlChildren(root, 'url');
+        const rows = urls.slice(0, limits.maxItems).map(url => {
+            const row = { URL: this.getXmlText(url, 'loc') };
+            const fields = [['lastmod', 'Last modified'], ['changefreq', 'Change frequency'], ['priority', 'Priority']];
+            fields.forEach(([name, label]) => {
+                const value = this.getXmlText(url, name);
+                if (value) row[label] = value;
             });
+            return row;
+        });
+
+        if (rows.length === 0) return '# Sitemap\n\n*No URLs*\n';
+        return `# Sitemap\n\n${urls.length} URL${urls.length === 1 ? '' : 's'}\n\n` +
+            this.renderJsonTable(rows) + this.formatTruncated(urls.length - rows.length, 'URL');
+    },
+
+    /**
+     * Render an element as a heading outline: attributes and leaf elements as bullets,
+     * elements with children as sub-headings, and anything past the depth limit as XML
+     * @param {Element} element - Element to render
+     * @param {number} level - Heading level (nested bullets are used past level 6)
+     * @param {Object} limits - { maxDepth, maxItems }
+     * @returns {string} Markdown
+     */
+    renderXmlOutline(element, level, limits) {
+        if (level > limits.maxDepth) {
+            return '```xml\n' + this.formatXml(element) + '\n```\n\n';
+        }
+        if (level > 6) {
+            return this.renderXmlList(element, 0, limits).join('\n') + '\n\n';
         }
 
-        return markdown || '```xml\n' + doc.documentElement.outerHTML + '\n```';
+        let markdown = `${'#'.repeat(level)} ${element.nodeName}\n\n`;
+
+        // Group attributes and runs of leaf elements into one list, keeping document order
+        let leaves = Array.from(element.attributes)
+            .filter(attr => !attr.name.startsWith('xmlns'))
+            .map(attr => `- @${attr.name}: ${attr.value}`);
+        const flushLeaves = () => {
+            if (leaves.length > 0) markdown += leaves.join('\n') + '\n\n';
+            leaves = [];
+        };
+
+        const nodes = Array.from(element.childNodes).filter(node =>
+            node.nodeType === Node.ELEMENT_NODE || this.getXmlNodeText(node));
+        nodes.slice(0, limits.maxItems).forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                flushLeaves();
+                markdown += this.getXmlNodeText(node) + '\n\n';
+            } else if (this.isXmlLeaf(node)) {
+                leaves.push(this.formatXmlLeaf(node));
+            } else {
+                flushLeaves();
+                markdown += this.renderXmlOutline(node, level + 1, limits);
+            }
+        });
+        flushLeaves();
+
+        return markdown + this.formatTruncated(nodes.length - limits.maxItems, 'node');
+    },
+
+    /**
+     * Render an element's children as nested bullets (used below heading level 6)
+     * @param {Element} element - Element to render
+     * @param {number} depth - List nesting depth
+     * @param {Object} limits - { maxItems }
+     * @returns {string[]} Markdown lines
+     */
+    renderXmlList(element, depth, limits) {
+        const indent = '  '.repeat(depth);
+        if (this.isXmlLeaf(element)) return [`${indent}${this.formatXmlLeaf(element)}`];
+
+        const lines = [`${indent}- **${element.nodeName}**${this.formatXmlAttributes(element)}`];
+        Array.from(element.children).slice(0, limits.maxItems).forEach(child => {
+            lines.push(...this.renderXmlList(child, depth + 1, limits));
+        });
+        return lines;
+    },
+
+    /**
+     * Whether an element is shown as a single bullet: it has no child elements,
+     * or mixes them with text (inline markup such as <b> in a description)
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isXmlLeaf(element) {
+        return element.children.length === 0 ||
+            Array.from(element.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.nodeValue.trim());
+    },
+
+    /**
+     * Bullet for a leaf element (see isXmlLeaf)
+     * @param {Element} element
+     * @returns {string} e.g. "- **price** (currency="EUR"): 12.50"
+     */
+    formatXmlLeaf(element) {
+        const text = element.textContent.trim().replace(/\s+/g, ' ');
+        return `- **${element.nodeName}**${this.formatXmlAttributes(element)}` + (text ? `: ${text}` : '');
     },
 
     /**
-     * Format XML with indentation
-     * @param {string} xml - Raw XML string
-     * @returns {string} Formatted XML
+     * Attribute summary for a bullet, e.g. ' (id="1", lang="en")'
+     * @param {Element} element
+     * @returns {string}
+     */
+    formatXmlAttributes(element) {
+        const attributes = Array.from(element.attributes)
+            .filter(attr => !attr.name.startsWith('xmlns'))
+            .map(attr => `${attr.name}="${attr.value}"`);
+        return attributes.length > 0 ? ` (${attributes.join(', ')})` : '';
+    },
+
+    /**
+     * Pretty-print XML by walking the DOM
+     * Elements holding only text stay on one line; empty elements self-close
+     * @param {string|Node} xml - XML string, document or element
+     * @returns {string} Indented XML
      */
     formatXml(xml) {
-        let formatted = '';
-        let indent = '';
+        const root = typeof xml === 'string' ? new DOMParser().parseFromString(xml, 'text/xml') : xml;
+        const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const escapeAttribute = value => escapeText(value).replace(/"/g, '&quot;');
+        const lines = [];
+
+        const walk = (node, indent) => {
+            switch (node.nodeType) {
+                case Node.DOCUMENT_NODE:
+                    Array.from(node.childNodes).forEach(child => walk(child, indent));
+                    return;
+                case Node.TEXT_NODE: {
+                    const text = node.nodeValue.trim();
+                    if (text) lines.push(indent + escapeText(text));
+                    return;
+                }
+                case Node.CDATA_SECTION_NODE:
+                    lines.push(`${indent}<![CDATA[${node.nodeValue}]]>`);
+                    return;
+                case Node.COMMENT_NODE:
+                    lines.push(`${indent}<!--${node.nodeValue}-->`);
+                    return;
+                case Node.PROCESSING_INSTRUCTION_NODE:
+                    lines.push(`${indent}<?${node.target} ${node.data}?>`);
+                    return;
+                case Node.ELEMENT_NODE:
+                    break;
+                default:
+                    return;
+            }
+
+            const attributes = Array.from(node.attributes)
+                .map(attr => ` ${attr.name}="${escapeAttribute(attr.value)}"`).join('');
+            const children = Array.from(node.childNodes).filter(child =>
+                child.nodeType !== Node.TEXT_NODE || child.nodeValue.trim());
 
-        xml.split(/>\s*</).forEach(node => {
-            if (node.match(/^\/\w/)) indent = indent.substring(2);
-            formatted += indent + '<' + node + '>\n';
-            if (node.match(/^<?\w[^>]*[^\/]$/) && !node.startsWith('?')) indent += '  ';
+            if (children.length === 0) {
+                lines.push(`${indent}<${node.nodeName}${attributes}/>`);
+            } else if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+                lines.push(`${indent}<${node.nodeName}${attributes}>${escapeText(children[0].nodeValue.trim())}</${node.nodeName}>`);
+            } else {
+                lines.push(`${indent}<${node.nodeName}${attributes}>`);
+                children.forEach(child => walk(child, indent + '  '));
+                lines.push(`${indent}</${node.nodeName}>`);
+            }
+        };
+
+        walk(root, '');
+        return lines.join('\n');
+    },
+
+    /**
+     * Find a direct child element by name
+     * Prefixed names (e.g. 'itunes:image') match on namespace, so feeds using other prefixes still work
+     * @param {Element|null} element - Parent element
+     * @param {string} name - Local name, or prefix:name for extension elements
+     * @returns {Element|null}
+     */
+    getXmlChild(element, name) {
+        return this.getXmlChildren(element, name)[0] || null;
+    },
+
+    /**
+     * Find all direct child elements with a name (see getXmlChild)
+     * @param {Element|null} element - Parent element
+     * @param {string} name - Local name, or prefix:name for extension elements
+     * @returns {Element[]}
+     */
+    getXmlChildren(element, name) {
+        if (!element) return [];
+
+        const [prefix, localName] = name.includes(':') ? name.split(':') : [null, name];
+        const namespace = prefix ? XML_NAMESPACES[prefix] : null;
+
+        return Array.from(element.children).filter(child => {
+            if (child.localName !== localName) return false;
+            if (!prefix) return !child.prefix;
+            return child.namespaceURI === namespace || child.prefix === prefix;
         });
+    },
 
-        return formatted.substring(1, formatted.length - 2);
+    /**
+     * Trimmed text of a direct child element
+     * @param {Element|null} element - Parent element
+     * @param {string} name - Child name (see getXmlChild)
+     * @returns {string} Text, or '' if the child is missing
+     */
+    getXmlText(element, name) {
+        const child = this.getXmlChild(element, name);
+        return child ? child.textContent.trim() : '';
     },
 
     /**
-     * Auto-detect and convert data
-     * @param {string} content - Raw content
+     * Attribute of a direct child element
+     * @param {Element|null} element - Parent element
+     * @param {string} name - Child name (see getXmlChild)
+     * @param {string} attribute - Attribute name
+     * @returns {string} Value, or '' if missing
+     */
+    getXmlAttribute(element, name, attribute) {
+        const child = this.getXmlChild(element, name);
+        return (child && child.getAttribute(attribute)) || '';
+    },
+
+    /**
+     * Trimmed text of a text or CDATA node
+     * @param {Node} node
+     * @returns {string}
+     */
+    getXmlNodeText(node) {
+        if (node.nodeType !== Node.TEXT_NODE && node.nodeType !== Node.CDATA_SECTION_NODE) return '';
+        return node.nodeValue.trim();
+    },
+
+    /**
+     * Page link of an Atom feed or entry (rel="alternate" or no rel)
+     * @param {Element} element - <feed> or <entry>
+     * @returns {string}
+     */
+    getAtomLink(element) {
+        const links = this.getXmlChildren(element, 'link');
+        const link = links.find(l => !l.getAttribute('rel') || l.getAttribute('rel') === 'alternate') || links[0];
+        return link ? link.getAttribute('href') || link.textContent.trim() : '';
+    },
+
+    /**
+     * Atom content type: 'text', 'html' or 'xhtml' (RSS fields are always HTML)
+     * @param {Element} element - Content element
+     * @returns {string}
+     */
+    getAtomContentType(element) {
+        if (element.namespaceURI !== XML_NAMESPACES.atom) return 'html';
+        return element.getAttribute('type') || 'text';
+    },
+
+    /**
+     * Use an RSS guid as the item link when it is a permalink URL
+     * @param {Element} item - <item> element
+     * @returns {string}
+     */
+    getRssGuidLink(item) {
+        const guid = this.getXmlChild(item, 'guid');
+        if (!guid || guid.getAttribute('isPermaLink') === 'false') return '';
+        return /^https?:\/\//.test(guid.textContent.trim()) ? guid.textContent.trim() : '';
+    },
+
+    /**
+     * Author names from Atom <author>, RSS <author>, dc:creator or itunes:author
+     * @param {Element} element - Feed, channel, item or entry
+     * @returns {string[]}
+     */
+    getFeedAuthors(element) {
+        const atomAuthors = this.getXmlChildren(element, 'author')
+            .map(author => author.children.length > 0 ? this.getXmlText(author, 'name') : author.textContent.trim())
+            .filter(Boolean);
+        if (atomAuthors.length > 0) return atomAuthors;
+
+        return ['dc:creator', 'itunes:author']
+            .map(name => this.getXmlText(element, name))
+            .filter(Boolean)
+            .slice(0, 1);
+    },
+
+    /**
+     * Category names from RSS <category>, Atom term/label attributes and itunes:category
+     * @param {Element} element - Feed, channel, item or entry
+     * @returns {string[]} Unique names
+     */
+    getFeedCategories(element) {
+        const names = [
+            ...this.getXmlChildren(element, 'category').map(category =>
+                category.getAttribute('label') || category.getAttribute('term') || category.textContent.trim()),
+            ...this.getXmlChildren(element, 'itunes:category').map(category => category.getAttribute('text'))
+        ];
+        return [...new Set(names.filter(Boolean))];
+    },
+
+    /**
+     * Thumbnail from media:thumbnail, media:group or itunes:image
+     * @param {Element} item - Item or entry
+     * @returns {string} Image URL, or ''
+     */
+    getMediaThumbnail(item) {
+        return this.getXmlAttribute(item, 'media:thumbnail', 'url') ||
+            this.getXmlAttribute(this.getXmlChild(item, 'media:group'), 'media:thumbnail', 'url') ||
+            this.getXmlAttribute(item, 'itunes:image', 'href');
+    },
+
+    /**
+     * Attached media from RSS <enclosure> and Atom rel="enclosure" links
+     * @param {Element} item - Item or entry
+     * @returns {Array<{url: string, type: string, size: string}>}
+     */
+    getFeedEnclosures(item) {
+        const enclosures = [
+            ...this.getXmlChildren(item, 'enclosure').map(enclosure => ({
+                url: enclosure.getAttribute('url'),
+                type: enclosure.getAttribute('type'),
+                length: enclosure.getAttribute('length')
+            })),
+            ...this.getXmlChildren(item, 'link')
+                .filter(link => link.getAttribute('rel') === 'enclosure')
+                .map(link => ({
+                    url: link.getAttribute('href'),
+                    type: link.getAttribute('type'),
+                    length: link.getAttribute('length')
+                }))
+        ];
+
+        return enclosures.filter(enclosure => enclosure.url).map(enclosure => ({
+            url: enclosure.url,
+            type: enclosure.type || '',
+            size: Number(enclosure.length) > 0 ? this.formatBytes(Number(enclosure.length)) : ''
+        }));
+    },
+
+    /**
+     * Convert feed HTML (descriptions, content:encoded) to Markdown
+     * Falls back to plain text where HtmlConverter is not loaded
+     * @param {string} html - HTML fragment
      * @returns {string} Markdown
      */
-    convert(content) {
-        const type = this.detectType(content);
+    feedHtmlToMarkdown(html) {
+        if (!/<[a-z][\s\S]*>/i.test(html)) return html.trim();
+        if (typeof HtmlConverter !== 'undefined') return HtmlConverter.convert(html).trim();
+
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        return doc.body.textContent.trim();
+    },
+
+    /**
+     * Human-readable file size
+     * @param {number} bytes
+     * @returns {string} e.g. "12.3 MB"
+     */
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+    },
 
+    /**
+     * Convert data, auto-detecting the type unless one is given
+     * @param {string} content - Raw content
+     * @param {string} type - 'json', 'csv' or 'xml' (detected from the content if omitted)
+     * @param {Object} options - Rendering options (see convertJson, convertCsv and convertXml)
+     * @returns {string} Markdown
+     */
+    convert(content, type = this.detectType(content), options = {}) {
         switch (type) {
-            case 'json': return this.convertJson(content);
-            case 'csv': return this.convertCsv(content);
-            case 'xml': return this.convertXml(content);
+            case 'json': return this.convertJson(content, options);
+            case 'csv': return this.convertCsv(content, options);
+            case 'xml': return this.convertXml(content, options);
             default: return '```\n' + content + '\n```';
         }
     }
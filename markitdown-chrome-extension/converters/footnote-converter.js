@@ -0,0 +1,159 @@
+/**
+ * Footnote Converter
+ * Turns note reference/note pairs (Wikipedia citations, Pandoc/markdown-it/Jekyll
+ * footnotes, DPUB-ARIA noterefs) into Markdown footnotes. References are swapped for
+ * placeholders that the 'footnoteReference' Turndown rule writes as [^n]; the notes
+ * are removed from the page and returned for a definitions section at the end.
+ */
+
+// Attribute marking a note reference; its value is the footnote label
+const FOOTNOTE_PLACEHOLDER_ATTRIBUTE = 'data-markitdown-footnote';
+
+// Quick check before parsing HTML that may not contain any footnotes
+// (placeholders left by an earlier extract() are not a hint: their notes are already taken out)
+const FOOTNOTE_HINT_PATTERN = /(?<!data-markitdown-)footnote|cite_note|noteref|fnref|endnote|href="#fn/i;
+
+// Links that are note references wherever their target is
+const NOTEREF_SELECTOR = [
+    'sup.reference a[href^="#"]', 'a.footnote-ref', '.footnote-ref a[href^="#"]', 'a[role="doc-noteref"]',
+    'a[rel="footnote"]', 'a[href^="#cite_note"]', 'a[id^="fnref"]', 'sup[id^="fnref"] a[href^="#"]'
+].join(', ');
+
+// Links back from a note to its reference
+const FOOTNOTE_BACKLINK_SELECTOR = [
+    '.mw-cite-backlink', '.cite-backlink', '.footnote-backref', '.footnote-back', '[role="doc-backlink"]',
+    'a.reversefootnote', 'a[rev="footnote"]'
+].join(', ');
+
+const FootnoteConverter = {
+    /**
+     * Whether an HTML string looks like it contains footnotes
+     * @param {string} html
+     * @returns {boolean}
+     */
+    hasFootnotes(html) {
+        return FOOTNOTE_HINT_PATTERN.test(html) || /<sup[\s>][^<]*<a[^>]+href="#/i.test(html);
+    },
+
+    /**
+     * Replace note references with placeholders and take the notes out of the document
+     * Notes are numbered in order of their first reference; repeated references share a label
+     * @param {Document} doc - Document to update in place
+     * @returns {Array<{label: string, html: string}>} Notes, in label order
+     */
+    extract(doc) {
+        const notes = new Map();
+        const refIds = new Set();
+
+        doc.querySelectorAll('a[href^="#"]').forEach(link => {
+            if (!link.isConnected) return;
+
+            const explicit = link.matches(NOTEREF_SELECTOR);
+            if (!explicit && !link.closest('sup')) return;
+
+            const target = this.getTarget(doc, link);
+            if (!target || target.contains(link) || (!explicit && !this.isNoteLike(target))) return;
+
+            if (!notes.has(target)) notes.set(target, String(notes.size + 1));
+
+            // Replace the whole <sup> when it only wraps this link
+            const sup = link.closest('sup');
+            const ref = sup && sup.textContent.trim() === link.textContent.trim() ? sup : link;
+            [ref, link].forEach(element => { if (element.id) refIds.add(element.id); });
+
+            const placeholder = doc.createElement('span');
+            placeholder.setAttribute(FOOTNOTE_PLACEHOLDER_ATTRIBUTE, notes.get(target));
+            placeholder.textContent = notes.get(target);
+            ref.replaceWith(placeholder);
+        });
+
+        return Array.from(notes.entries()).map(([target, label]) => {
+            const html = this.getNoteHtml(target, refIds);
+            this.removeNote(target);
+            return { label, html };
+        });
+    },
+
+    /**
+     * Element an in-page link points to
+     * @param {Document} doc
+     * @param {HTMLAnchorElement} link
+     * @returns {Element|null}
+     */
+    getTarget(doc, link) {
+        const id = link.getAttribute('href').slice(1);
+        if (!id) return null;
+        try {
+            return doc.getElementById(decodeURIComponent(id));
+        } catch (e) {
+            return doc.getElementById(id);
+        }
+    },
+
+    /**
+     * Whether a link target looks like a note (used for plain <sup> links without footnote classes)
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isNoteLike(element) {
+        if (element.matches('[role="doc-footnote"], [role="doc-endnote"], .footnote, .footnote-item, .footnotes li')) return true;
+        return element.tagName === 'LI' || /^(fn|note|footnote|endnote|cite_note)/i.test(element.id);
+    },
+
+    /**
+     * Note content without backlinks, jump-back arrows or inline styles
+     * @param {Element} note - Note element
+     * @param {Set<string>} refIds - Ids of the references pointing at notes
+     * @returns {string} HTML
+     */
+    getNoteHtml(note, refIds) {
+        const clone = note.cloneNode(true);
+        clone.querySelectorAll(`${FOOTNOTE_BACKLINK_SELECTOR}, style, script, link`).forEach(element => element.remove());
+        clone.querySelectorAll('a[href^="#"]').forEach(link => {
+            if (refIds.has(link.getAttribute('href').slice(1))) link.remove();
+        });
+        return clone.innerHTML;
+    },
+
+    /**
+     * Remove a note and any list or footnotes section it leaves empty
+     * @param {Element} note - Note element
+     */
+    removeNote(note) {
+        let parent = note.parentElement;
+        note.remove();
+
+        while (parent && parent.tagName !== 'BODY' && parent.tagName !== 'HTML' && !parent.textContent.trim()) {
+            const next = parent.parentElement;
+            const separator = parent.previousElementSibling;
+            if (separator && separator.matches('hr.footnotes-sep')) separator.remove();
+            parent.remove();
+            parent = next;
+        }
+    },
+
+    /**
+     * Build the footnote definitions section
+     * @param {Array<{label: string, html: string}>} notes - Notes from extract()
+     * @param {Function} toMarkdown - Converts a note's HTML to Markdown
+     * @returns {string} Definitions preceded by a blank line, or '' when there are none
+     */
+    formatDefinitions(notes, toMarkdown) {
+        if (notes.length === 0) return '';
+
+        const definitions = notes.map(({ label, html }) => {
+            const text = toMarkdown(html)
+                .replace(/^[\s↑^↩︎]+/, '')
+                .replace(/[\s↩︎⤴]+$/, '');
+            // Continuation lines are indented so they stay part of the footnote
+            return `[^${label}]: ${text.replace(/\n/g, '\n    ').replace(/\n {4}\n/g, '\n\n')}`;
+        });
+
+        return '\n\n' + definitions.join('\n');
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.FootnoteConverter = FootnoteConverter;
+}
@@ -0,0 +1,53 @@
+/**
+ * YAML Front Matter Builder
+ * Serializes page metadata into a front matter block for notes vaults
+ */
+
+const FrontMatter = {
+    /**
+     * Build a front matter block, skipping empty values
+     * @param {Object} fields - Key/value pairs (strings, numbers, booleans or string arrays)
+     * @returns {string} Front matter block followed by a blank line
+     */
+    build(fields) {
+        const lines = ['---'];
+
+        for (const [key, value] of Object.entries(fields)) {
+            if (value === null || value === undefined || value === '') continue;
+
+            if (Array.isArray(value)) {
+                const items = value.filter(item => item !== null && item !== undefined && item !== '');
+                if (items.length === 0) continue;
+                lines.push(`${key}:`);
+                items.forEach(item => lines.push(`  - ${this.formatValue(item)}`));
+            } else {
+                lines.push(`${key}: ${this.formatValue(value)}`);
+            }
+        }
+
+        lines.push('---');
+        return lines.join('\n') + '\n\n';
+    },
+
+    /**
+     * Format a scalar as a YAML value
+     * Strings are always double-quoted so colons, hashes and leading dashes stay literal
+     * @param {*} value - Scalar value
+     * @returns {string}
+     */
+    formatValue(value) {
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+        const escaped = String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\r?\n/g, '\\n')
+            .replace(/\t/g, '\\t');
+        return `"${escaped}"`;
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.FrontMatter = FrontMatter;
+}
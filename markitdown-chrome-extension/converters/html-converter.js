@@ -2,36 +2,58 @@
  * HTML to Markdown Converter
  * Uses Turndown.js for conversion
  * Enhanced with cover image extraction and AI-powered descriptions
+ * Requires utils/settings.js, utils/llm-providers.js, converters/turndown-rules.js,
+ * converters/math-converter.js, converters/footnote-converter.js and
+ * converters/link-resolver.js and utils/site-rules.js to be loaded first (and
+ * converters/pagination.js for stitched multi-page articles)
  */
 
-// Configuration loading helper
+// Cached settings (cleared whenever they change in the options page)
 let CONFIG = null;
 
+if (typeof Settings !== 'undefined') {
+    Settings.onChanged(() => {
+        console.log('MarkItDown: Settings changed, reloading config');
+        CONFIG = null;
+    });
+}
+
 /**
- * Load configuration from config.js
- * @returns {Promise<Object|null>} Configuration object or null if not available
+ * Load configuration from the extension settings
+ * Falls back to a legacy config.js (OpenAI only) when no API key has been saved in the options page
+ * @returns {Promise<Object>} Settings object
  */
 async function loadConfig() {
     if (CONFIG !== null) {
         console.log('MarkItDown: Using cached config');
         return CONFIG;
     }
-    
-    try {
-        console.log('MarkItDown: Loading config.js...');
-        // Try to load config dynamically (works in module context)
-        const configModule = await import('../config.js');
-        CONFIG = configModule.default || {};
-        console.log('MarkItDown: Config loaded successfully', {
-            hasApiKey: !!CONFIG.OPENAI_API_KEY && CONFIG.OPENAI_API_KEY !== 'sk-YOUR-OPENAI-KEY-HERE',
-            model: CONFIG.OPENAI_MODEL || 'not set (will use default)'
-        });
-        return CONFIG;
-    } catch (e) {
-        console.warn('MarkItDown: config.js not found or invalid. AI descriptions disabled.', e.message);
-        CONFIG = {};
-        return CONFIG;
+
+    CONFIG = await Settings.load();
+
+    if (CONFIG.provider === 'openai' && !Settings.isApiKeySet(CONFIG.apiKey)) {
+        try {
+            const configModule = await import('../config.js');
+            const legacyConfig = configModule.default || {};
+            if (Settings.isApiKeySet(legacyConfig.OPENAI_API_KEY)) {
+                console.log('MarkItDown: Using API key from legacy config.js');
+                CONFIG = {
+                    ...CONFIG,
+                    apiKey: legacyConfig.OPENAI_API_KEY,
+                    model: legacyConfig.OPENAI_MODEL || CONFIG.model
+                };
+            }
+        } catch (e) {
+            // No legacy config.js - the options page is the only source
+        }
     }
+
+    console.log('MarkItDown: Config loaded', {
+        provider: CONFIG.provider,
+        hasApiKey: Settings.isApiKeySet(CONFIG.apiKey),
+        model: CONFIG.model
+    });
+    return CONFIG;
 }
 
 /**
@@ -75,7 +97,111 @@ function getPageTitle(doc) {
 }
 
 /**
- * Call OpenAI API to generate image description with timeout
+ * Read the content of the first matching meta tag
+ * @param {Document} doc - Document object to search
+ * @param {string[]} selectors - Meta tag selectors in order of preference
+ * @returns {string|null} Meta content or null
+ */
+function getMetaContent(doc, selectors) {
+    for (const selector of selectors) {
+        const meta = doc.querySelector(selector);
+        if (meta && meta.content && meta.content.trim()) return meta.content.trim();
+    }
+    return null;
+}
+
+/**
+ * Collect schema.org objects from JSON-LD scripts (including @graph entries)
+ * @param {Document} doc - Document object to search
+ * @returns {Object[]} JSON-LD objects
+ */
+function getJsonLdObjects(doc) {
+    const objects = [];
+
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+            const data = JSON.parse(script.textContent);
+            const queue = Array.isArray(data) ? [...data] : [data];
+            while (queue.length > 0) {
+                const item = queue.shift();
+                if (!item || typeof item !== 'object') continue;
+                objects.push(item);
+                if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+            }
+        } catch (e) {
+            // Ignore malformed JSON-LD
+        }
+    });
+
+    return objects;
+}
+
+/**
+ * Get the name(s) of a schema.org person/organization value
+ * @param {*} value - String, object with name, or array of either
+ * @returns {string[]} Names
+ */
+function getJsonLdNames(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.flatMap(getJsonLdNames);
+    if (typeof value === 'string') return [value];
+    return value.name ? [value.name] : [];
+}
+
+/**
+ * Extract page metadata for front matter from OG/Twitter/article meta tags and JSON-LD
+ * @param {Document} doc - Document object to search
+ * @param {string} pageUrl - URL the page was captured from
+ * @returns {Object} Metadata fields in front matter order
+ */
+function getPageMetadata(doc, pageUrl) {
+    const articleTypes = /Article|BlogPosting|NewsArticle|Report|WebPage|TechArticle|ScholarlyArticle/;
+    const jsonLd = getJsonLdObjects(doc).find(item => articleTypes.test([].concat(item['@type']).join(' '))) || {};
+
+    const canonical = doc.querySelector('link[rel="canonical"]')?.getAttribute('href');
+    let url = canonical || getMetaContent(doc, ['meta[property="og:url"]']) || pageUrl;
+    try {
+        url = new URL(url, pageUrl).href;
+    } catch (e) {
+        // Keep the value as-is if it cannot be resolved
+    }
+
+    const authors = getJsonLdNames(jsonLd.author);
+    const metaAuthor = getMetaContent(doc, ['meta[name="author"]', 'meta[property="article:author"]', 'meta[name="twitter:creator"]']);
+    if (authors.length === 0 && metaAuthor) authors.push(metaAuthor);
+
+    let keywords = [];
+    const metaKeywords = getMetaContent(doc, ['meta[name="keywords"]']);
+    if (jsonLd.keywords) {
+        keywords = Array.isArray(jsonLd.keywords) ? jsonLd.keywords : String(jsonLd.keywords).split(',');
+    } else if (metaKeywords) {
+        keywords = metaKeywords.split(',');
+    }
+    doc.querySelectorAll('meta[property="article:tag"]').forEach(tag => {
+        if (tag.content) keywords.push(tag.content);
+    });
+    keywords = [...new Set(keywords.map(k => String(k).trim()).filter(Boolean))];
+
+    const jsonLdImage = [].concat(jsonLd.image || [])[0];
+    const image = getCoverImageUrl(doc) || (typeof jsonLdImage === 'string' ? jsonLdImage : jsonLdImage?.url) || null;
+
+    return {
+        title: jsonLd.headline || getPageTitle(doc),
+        url,
+        author: authors.length > 1 ? authors : authors[0] || null,
+        site_name: getMetaContent(doc, ['meta[property="og:site_name"]', 'meta[name="application-name"]']) || getJsonLdNames(jsonLd.publisher)[0] || null,
+        published: getMetaContent(doc, ['meta[property="article:published_time"]', 'meta[name="date"]', 'meta[itemprop="datePublished"]']) || jsonLd.datePublished || null,
+        modified: getMetaContent(doc, ['meta[property="article:modified_time"]', 'meta[property="og:updated_time"]', 'meta[itemprop="dateModified"]']) || jsonLd.dateModified || null,
+        description: getMetaContent(doc, ['meta[property="og:description"]', 'meta[name="description"]', 'meta[name="twitter:description"]']) || jsonLd.description || null,
+        keywords,
+        language: doc.documentElement.getAttribute('lang') || getMetaContent(doc, ['meta[property="og:locale"]', 'meta[http-equiv="content-language"]']) || jsonLd.inLanguage || null,
+        image,
+        captured: new Date().toISOString()
+    };
+}
+
+/**
+ * Call the configured LLM provider to generate an image description with timeout
  * @param {string} imageUrl - URL of the image to describe
  * @param {number} timeoutMs - Timeout in milliseconds (default 60000 for reasoning models)
  * @returns {Promise<string|null>} Description or null if failed
@@ -83,8 +209,8 @@ function getPageTitle(doc) {
 async function getLLMDescription(imageUrl, timeoutMs = 60000) {
     const config = await loadConfig();
     
-    if (!config || !config.OPENAI_API_KEY || config.OPENAI_API_KEY === 'sk-YOUR-OPENAI-KEY-HERE') {
-        console.warn('MarkItDown: OpenAI API key not configured. Skipping image description.');
+    if (!LLMProviders.isConfigured(config)) {
+        console.warn('MarkItDown: LLM provider not configured. Skipping image description.');
         return null;
     }
     
@@ -95,65 +221,8 @@ async function getLLMDescription(imageUrl, timeoutMs = 60000) {
     const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
     
     try {
-        const model = config.OPENAI_MODEL || 'gpt-4o-mini';
-        
-        // Build request body - newer models use max_completion_tokens instead of max_tokens
-        const requestBody = {
-            model: model,
-            messages: [
-                {
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'text',
-                            text: 'Describe this image in 2-3 sentences. Focus on the main subject, visual elements, and any text visible. Be concise and informative.'
-                        },
-                        {
-                            type: 'image_url',
-                            image_url: {
-                                url: imageUrl,
-                                detail: 'auto'
-                            }
-                        }
-                    ]
-                }
-            ]
-        };
-        
-        // Use max_completion_tokens for newer/reasoning models (gpt-4o, gpt-5, o1, o3, etc.)
-        // Reasoning models need more tokens as they use internal reasoning tokens (~128-256) before responding
-        // Use max_tokens for older models (gpt-3.5, gpt-4-turbo, etc.)
-        const isReasoningModel = model.startsWith('gpt-5') || model.startsWith('o1') || model.startsWith('o3') || model.includes('2024') || model.includes('2025');
-        if (isReasoningModel) {
-            // Reasoning models need ~200 reasoning tokens + ~100 output tokens
-            requestBody.max_completion_tokens = 600;
-            console.log('MarkItDown: Using max_completion_tokens (600) for reasoning model:', model);
-        } else {
-            requestBody.max_tokens = 300;
-            console.log('MarkItDown: Using max_tokens (300) for model:', model);
-        }
-        
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            signal: controller.signal,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${config.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify(requestBody)
-        });
-        
+        const description = await LLMProviders.describeImage(config, imageUrl, controller.signal);
         clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            console.error('MarkItDown: OpenAI API error:', response.status, JSON.stringify(errorData, null, 2));
-            console.error('MarkItDown: Error details:', errorData?.error?.message || 'Unknown error');
-            return null;
-        }
-        
-        const data = await response.json();
-        const description = data.choices?.[0]?.message?.content || null;
         console.log('MarkItDown: LLM description received:', description ? description.substring(0, 50) + '...' : 'null');
         return description;
     } catch (error) {
@@ -161,7 +230,7 @@ async function getLLMDescription(imageUrl, timeoutMs = 60000) {
         if (error.name === 'AbortError') {
             console.error('MarkItDown: LLM request timed out after', timeoutMs, 'ms');
         } else {
-            console.error('MarkItDown: Failed to get image description:', error);
+            console.error('MarkItDown: Failed to get image description:', error.message);
         }
         return null;
     }
@@ -176,8 +245,8 @@ async function getLLMDescription(imageUrl, timeoutMs = 60000) {
 async function processInlineImagesWithLLM(html, timeoutMs = 60000) {
     const config = await loadConfig();
     
-    if (!config || !config.OPENAI_API_KEY || config.OPENAI_API_KEY === 'sk-YOUR-OPENAI-KEY-HERE') {
-        console.log('MarkItDown: Skipping inline image processing - no API key');
+    if (!LLMProviders.isConfigured(config)) {
+        console.log('MarkItDown: Skipping inline image processing - LLM provider not configured');
         return html;
     }
     
@@ -211,7 +280,7 @@ async function processInlineImagesWithLLM(html, timeoutMs = 60000) {
     console.log(`MarkItDown: Processing ${imagesToProcess.length} images with LLM`);
     
     // Each image gets its own guaranteed timeout (parallel processing)
-    const perImageTimeout = 20000; // 20 seconds per image (reasoning models need time)
+    const perImageTimeout = config.imageTimeoutMs || Settings.DEFAULTS.imageTimeoutMs;
     const startTime = Date.now();
     
     console.log(`MarkItDown: Per-image timeout: ${perImageTimeout}ms (parallel processing)`);
@@ -275,9 +344,29 @@ const HtmlConverter = {
     /**
      * Convert HTML string to Markdown
      * @param {string} html - HTML content to convert
+     * @param {Object} options - Conversion options (a settings object works too)
+     * @param {string} options.mathSyntax - 'dollar', 'github' or 'latex' (see TurndownRules.addMathRules)
+     * @param {string} options.url - Page URL that relative links and images are resolved against
+     * @param {string} options.linkStyle - 'inline' or 'referenced' (numbered links defined at the end)
+     * @param {boolean} options.stripTrackingParams - Remove utm_*, fbclid, gclid and similar parameters from URLs
+     * @param {boolean} options.keepIframes - Write iframes as links to their source instead of dropping them
      * @returns {string} Markdown content
      */
-    convert(html) {
+    convert(html, options = {}) {
+        const { mathSyntax = 'dollar', url = null, linkStyle = 'inline', stripTrackingParams = false, keepIframes = false } = options;
+        // Footnotes are converted by nested calls, which number their links in the same list
+        const linkReferences = options.linkReferences || [];
+        let footnotes = [];
+
+        // Resolve URLs, then swap rendered formulas for their TeX and note references for placeholders
+        if (url || MathConverter.hasMath(html) || FootnoteConverter.hasFootnotes(html)) {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            if (url) LinkResolver.resolveDocument(doc, url, { stripTrackingParams });
+            const formulaCount = MathConverter.replaceMath(doc);
+            footnotes = FootnoteConverter.extract(doc);
+            if (url || formulaCount > 0 || footnotes.length > 0) html = doc.body.innerHTML;
+        }
+
         const turndownService = new TurndownService({
             headingStyle: 'atx',
             hr: '---',
@@ -294,78 +383,126 @@ const HtmlConverter = {
                 return '~~' + content + '~~';
             }
         });
+        TurndownRules.addTableRules(turndownService);
+        TurndownRules.addCodeBlockRules(turndownService);
+        TurndownRules.addMathRules(turndownService, mathSyntax);
+        TurndownRules.addFootnoteRules(turndownService);
+        TurndownRules.addLinkRules(turndownService, linkStyle, linkReferences);
+        TurndownRules.addEmbedRules(turndownService, keepIframes);
 
-        return turndownService.turndown(html);
+        const noteOptions = { ...options, url: null, linkReferences };
+        let markdown = turndownService.turndown(html) +
+            FootnoteConverter.formatDefinitions(footnotes, noteHtml => this.convert(noteHtml, noteOptions));
+        if (!options.linkReferences) markdown += TurndownRules.formatLinkDefinitions(linkReferences);
+        return markdown;
     },
 
     /**
      * Convert a DOM element to Markdown
      * @param {Element} element - DOM element to convert
+     * @param {Object} options - Conversion options (see convert)
      * @returns {string} Markdown content
      */
-    convertElement(element) {
-        return this.convert(element.outerHTML);
+    convertElement(element, options = {}) {
+        return this.convert(element.outerHTML, options);
     },
 
+    /**
+     * Details of the node chosen by the most recent convertClean() call (for debugging bad picks)
+     * @type {{label: string, score: number|null, mode: string, candidates: Array}|null}
+     */
+    lastExtraction: null,
+
     /**
      * Clean and convert HTML, removing scripts, styles, etc.
      * @param {string} html - Raw HTML content
+     * @param {Object} options - Extraction options
+     * @param {string} options.extractionMode - 'article' (main content only, default) or 'full' (whole page)
+     * @param {string} options.mathSyntax - Math delimiters (see convert)
+     * @param {string} options.url - Page URL for resolving relative links (see convert)
+     * @param {string} options.linkStyle - 'inline' or 'referenced' (see convert)
+     * @param {boolean} options.stripTrackingParams - Remove tracking parameters from URLs (see convert)
+     * @param {boolean} options.removePagination - Drop pagination links (when pages are stitched together)
+     * @param {string} options.selector - Convert the elements matching this CSS selector instead of detecting the main content
+     * @param {Object} options.siteRule - Matching site rule (see SiteRules.match); its removals and keep options apply
      * @returns {string} Cleaned Markdown content
      */
-    convertClean(html) {
+    convertClean(html, options = {}) {
+        const { extractionMode = 'article', mathSyntax = 'dollar', url = null, linkStyle = 'inline', stripTrackingParams = false, removePagination = false, selector = null, siteRule = null } = options;
+        const keepIframes = !!(siteRule && siteRule.keepIframes);
         const doc = new DOMParser().parseFromString(html, 'text/html');
+        if (url) LinkResolver.resolveDocument(doc, url, { stripTrackingParams });
+
+        // Recover formulas first: MathJax keeps its TeX in scripts and KaTeX marks its markup aria-hidden
+        MathConverter.replaceMath(doc);
+
+        // Notes usually sit outside the main content, so collect them before extraction
+        const footnotes = FootnoteConverter.extract(doc);
 
         // Remove only truly unwanted elements (be less aggressive)
         const removeSelectors = [
             'script', 'style', 'noscript', 'iframe',
             '.advertisement', '.ads', '#ads', '.cookie-banner',
             '[aria-hidden="true"]'
-        ];
+        ].filter(name => !(keepIframes && name === 'iframe'))
+            .concat(siteRule ? SiteRules.getRemoveSelectors(siteRule) : []);
 
         removeSelectors.forEach(selector => {
             try {
                 doc.querySelectorAll(selector).forEach(el => el.remove());
             } catch (e) {
-                // Ignore invalid selectors
+                // Ignore invalid selectors (site rules are checked when saved, but may be imported)
             }
         });
+        if (removePagination) Pagination.removeNavigation(doc);
 
-        // Extended list of content selectors (ordered by specificity)
-        const contentSelectors = [
-            // Article content
-            'article', '[role="article"]', '.article', '.article-content', '.article-body',
-            // Main content
-            'main', '[role="main"]', '#main', '.main', '.main-content',
-            // Post content (blogs)
-            '.post', '.post-content', '.post-body', '.entry-content', '.entry',
-            // Generic content containers
-            '.content', '#content', '.page-content', '.body-content',
-            // CMS specific
-            '.markdown-body', '.prose', '.rich-text', '.text-content',
-            // Vue/React app containers
-            '#app', '#root', '.app', '[data-v-app]',
-            // Fallback to body
-            'body'
-        ];
-
-        // Try each selector until we find content
-        for (const selector of contentSelectors) {
-            try {
-                const element = doc.querySelector(selector);
-                if (element) {
-                    const content = this.convert(element.innerHTML);
-                    // Only return if we got meaningful content (more than just whitespace)
-                    if (content && content.trim().length > 50) {
-                        return content;
-                    }
-                }
-            } catch (e) {
-                // Ignore invalid selectors
-            }
+        // Elements chosen with the picker (or a site rule's content root) replace the detected main content
+        const selected = selector ? this.selectElements(doc, selector) : [];
+        const extraction = selected.length > 0
+            ? { element: this.wrapElements(doc, selected), label: selector, score: null, mode: 'selector', candidates: [] }
+            : ContentExtractor.extract(doc, { mode: extractionMode });
+        const { element, ...details } = extraction;
+        this.lastExtraction = details;
+        console.log(`MarkItDown: Extracted content from ${details.label}`, details.candidates);
+
+        const linkReferences = [];
+        const markdown = this.convert(element.innerHTML, { mathSyntax, linkStyle, linkReferences, keepIframes });
+
+        // Only define notes that are referenced from the extracted content
+        const referenced = footnotes.filter(note =>
+            element.querySelector(`[${FOOTNOTE_PLACEHOLDER_ATTRIBUTE}="${note.label}"]`));
+        return markdown +
+            FootnoteConverter.formatDefinitions(referenced, noteHtml => this.convert(noteHtml, { mathSyntax, linkStyle, linkReferences, keepIframes })) +
+            TurndownRules.formatLinkDefinitions(linkReferences);
+    },
+
+    /**
+     * Elements matching a selector, leaving out those inside another match
+     * @param {Document} doc - Parsed page
+     * @param {string} selector - CSS selector (may be a comma-separated list)
+     * @returns {Element[]} Matches in document order (empty if the selector is invalid)
+     */
+    selectElements(doc, selector) {
+        let elements;
+        try {
+            elements = Array.from(doc.querySelectorAll(selector));
+        } catch (e) {
+            console.warn(`MarkItDown: Ignoring invalid selector ${selector}`);
+            return [];
         }
+        return elements.filter(element => !elements.some(other => other !== element && other.contains(element)));
+    },
 
-        // Final fallback: convert the entire body
-        return this.convert(doc.body ? doc.body.innerHTML : html);
+    /**
+     * Move elements into one container so they convert as a single document
+     * @param {Document} doc - Document owning the elements
+     * @param {Element[]} elements - Elements in document order
+     * @returns {HTMLElement} Container holding the elements
+     */
+    wrapElements(doc, elements) {
+        const container = doc.createElement('div');
+        elements.forEach(element => container.appendChild(element));
+        return container;
     },
 
     /**
@@ -377,6 +514,15 @@ const HtmlConverter = {
      * @param {boolean} options.includeAIDescription - Whether to generate AI description (default: true)
      * @param {boolean} options.processInlineImages - Whether to process inline images with LLM (default: true)
      * @param {number} options.timeoutMs - Total timeout for LLM processing (default: 30000)
+     * @param {string} options.extractionMode - 'article' or 'full' (see convertClean)
+     * @param {string} options.mathSyntax - Math delimiters (see convert)
+     * @param {string} options.url - Page URL for resolving relative links (see convert)
+     * @param {string} options.linkStyle - 'inline' or 'referenced' (see convert)
+     * @param {boolean} options.stripTrackingParams - Remove tracking parameters from URLs (see convert)
+     * @param {Array<{html: string, url: string}>} options.nextPages - Following pages of a paginated article, appended to this one
+     * @param {string} options.selector - Elements to convert instead of the detected main content (see convertClean)
+     * @param {Object} options.siteRule - Matching site rule (see convertClean); without images, no cover or image descriptions are added
+     * @param {string} options.headerStyle - 'frontmatter' leaves the title and cover image to the YAML header (no heading or cover block)
      * @returns {Promise<string>} Markdown content with cover image and description
      */
     async convertWithMetadata(html, options = {}) {
@@ -384,19 +530,35 @@ const HtmlConverter = {
             includeCoverImage = true, 
             includeAIDescription = true,
             processInlineImages = true,
-            timeoutMs = 120000  // 2 minutes total for reasoning models
+            timeoutMs = 120000,  // 2 minutes total for reasoning models
+            extractionMode = 'article',
+            mathSyntax = 'dollar',
+            url = null,
+            linkStyle = 'inline',
+            stripTrackingParams = false,
+            nextPages = [],
+            selector = null,
+            siteRule = null,
+            headerStyle = 'blockquote'
         } = options;
+        const keepImages = !siteRule || siteRule.keepImages;
         
         console.log('MarkItDown: Starting convertWithMetadata with options:', { includeCoverImage, includeAIDescription, processInlineImages, timeoutMs });
         
         const doc = new DOMParser().parseFromString(html, 'text/html');
         const startTime = Date.now();
+
+        // Resolve URLs up front so the cover image and inline images are fetched from absolute URLs
+        if (url) {
+            LinkResolver.resolveDocument(doc, url, { stripTrackingParams });
+            html = doc.documentElement.outerHTML;
+        }
         
         // Start with the base content conversion
         let markdown = '';
         
-        // Extract cover image if enabled
-        if (includeCoverImage) {
+        // Extract cover image if enabled (front matter already carries the title and image)
+        if (includeCoverImage && keepImages && headerStyle !== 'frontmatter') {
             const coverUrl = getCoverImageUrl(doc);
             if (coverUrl) {
                 // Add page title as heading
@@ -422,18 +584,76 @@ const HtmlConverter = {
         
         // Process inline images with LLM before Turndown conversion
         let processedHtml = html;
-        if (processInlineImages && includeAIDescription) {
-            // Give inline images their own generous timeout (not affected by cover image time)
-            const inlineTimeout = Math.max(timeoutMs, 60000); // At least 60 seconds for inline images
+        // Give inline images their own generous timeout (not affected by cover image time)
+        const inlineTimeout = Math.max(timeoutMs, 60000); // At least 60 seconds for inline images
+        if (processInlineImages && includeAIDescription && keepImages) {
             console.log(`MarkItDown: Processing inline images with ${inlineTimeout}ms timeout`);
             processedHtml = await processInlineImagesWithLLM(html, inlineTimeout);
         }
         
         // Add the converted content (using processed HTML with updated alt texts)
-        markdown += this.convertClean(processedHtml);
+        const removePagination = nextPages.length > 0;
+        const pages = [this.convertClean(processedHtml, { extractionMode, mathSyntax, linkStyle, removePagination, selector, siteRule })];
+
+        // Following pages go through the same extraction, then are stitched onto the first
+        for (const nextPage of nextPages) {
+            const nextDoc = new DOMParser().parseFromString(nextPage.html, 'text/html');
+            LinkResolver.resolveDocument(nextDoc, nextPage.url, { stripTrackingParams });
+            let nextHtml = nextDoc.documentElement.outerHTML;
+            if (processInlineImages && includeAIDescription && keepImages) {
+                nextHtml = await processInlineImagesWithLLM(nextHtml, inlineTimeout);
+            }
+            pages.push(this.convertClean(nextHtml, { extractionMode, mathSyntax, linkStyle, removePagination, selector, siteRule }));
+        }
+        markdown += pages.length > 1 ? Pagination.merge(pages) : pages[0];
         
         console.log(`MarkItDown: Conversion completed in ${Date.now() - startTime}ms`);
         
+        return markdown;
+    },
+
+    /**
+     * Convert a page captured from a tab using the user's settings
+     * Shared by the popup and the context menus (via the offscreen document)
+     * @param {Object} page - Captured page
+     * @param {string} page.html - Full page HTML
+     * @param {string} page.url - Page URL
+     * @param {string} page.title - Document title
+     * @param {Array<{html: string, url: string}>} page.nextPages - Following pages when pagination is stitched
+     * @param {string} page.selector - Elements to convert (from the picker); defaults to the site rule's content selector
+     * @param {Object} settings - Extension settings
+     * @returns {Promise<string>} Markdown content
+     */
+    async convertPage(page, settings) {
+        const siteRule = SiteRules.match(page.url, settings.siteRules);
+        if (siteRule) console.log(`MarkItDown: Using site rule ${siteRule.pattern}`);
+        const url = settings.stripTrackingParams ? LinkResolver.stripTrackingParams(page.url) : page.url;
+        let markdown = '';
+
+        if (settings.headerStyle === 'frontmatter') {
+            const doc = new DOMParser().parseFromString(page.html, 'text/html');
+            LinkResolver.resolveDocument(doc, page.url, { stripTrackingParams: settings.stripTrackingParams });
+            markdown += FrontMatter.build(getPageMetadata(doc, url));
+        } else {
+            markdown += `> Source: ${url}\n\n`;
+        }
+
+        markdown += await this.convertWithMetadata(page.html, {
+            includeCoverImage: settings.includeCoverImage,
+            includeAIDescription: settings.includeAIDescription,
+            processInlineImages: settings.processInlineImages,
+            timeoutMs: settings.timeoutMs,
+            extractionMode: settings.extractionMode,
+            mathSyntax: settings.mathSyntax,
+            url: page.url,
+            linkStyle: settings.linkStyle,
+            stripTrackingParams: settings.stripTrackingParams,
+            nextPages: page.nextPages || [],
+            selector: page.selector || (siteRule && siteRule.contentSelector) || null,
+            siteRule,
+            headerStyle: settings.headerStyle
+        });
+
         return markdown;
     }
 };
@@ -445,6 +665,7 @@ if (typeof window !== 'undefined') {
     window.getCoverImageUrl = getCoverImageUrl;
     window.getLLMDescription = getLLMDescription;
     window.getPageTitle = getPageTitle;
+    window.getPageMetadata = getPageMetadata;
     window.processInlineImagesWithLLM = processInlineImagesWithLLM;
     window.loadConfig = loadConfig;
 }
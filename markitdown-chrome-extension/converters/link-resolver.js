@@ -0,0 +1,169 @@
+/**
+ * Link Resolver
+ * Makes link and image URLs absolute. A DOMParser document has no base URL, so
+ * relative URLs would otherwise stay relative and break once the Markdown is pasted elsewhere.
+ */
+
+// Query parameters added by ad and analytics platforms
+const TRACKING_PARAMETERS = [
+    /^utm_/i, /^fbclid$/i, /^gclid$/i, /^dclid$/i, /^gbraid$/i, /^wbraid$/i, /^msclkid$/i, /^yclid$/i,
+    /^mc_cid$/i, /^mc_eid$/i, /^igshid$/i, /^_hsenc$/i, /^_hsmi$/i, /^mkt_tok$/i
+];
+
+// Elements and attributes holding a single URL
+const URL_ATTRIBUTES = [
+    ['a', 'href'], ['area', 'href'], ['img', 'src'], ['source', 'src'], ['video', 'src'], ['video', 'poster'],
+    ['audio', 'src'], ['track', 'src'], ['iframe', 'src'], ['embed', 'src'], ['object', 'data'],
+    ['blockquote', 'cite'], ['q', 'cite'], ['del', 'cite'], ['ins', 'cite']
+];
+
+// Meta tags read for the cover image
+const IMAGE_META_SELECTOR = 'meta[property="og:image"], meta[name="twitter:image"], meta[name="twitter:image:src"], meta[itemprop="image"]';
+
+// Attributes lazy-loading scripts keep the real image URL in
+const LAZY_IMAGE_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original'];
+
+const LinkResolver = {
+    /**
+     * Resolve every URL in a document against the page URL and any <base href>
+     * In-page anchors (#section) are left alone so footnotes and tables of contents keep working
+     * @param {Document} doc - Document to update in place
+     * @param {string} pageUrl - URL the HTML was captured from
+     * @param {Object} options - Resolution options
+     * @param {boolean} options.stripTrackingParams - Remove utm_*, fbclid, gclid and similar parameters
+     */
+    resolveDocument(doc, pageUrl, options = {}) {
+        const { stripTrackingParams = false } = options;
+        const base = this.getBaseUrl(doc, pageUrl);
+        if (!base) return;
+
+        const resolve = url => {
+            const absolute = this.resolveUrl(url, base);
+            return stripTrackingParams ? this.stripTrackingParams(absolute) : absolute;
+        };
+
+        URL_ATTRIBUTES.forEach(([tag, attribute]) => {
+            doc.querySelectorAll(`${tag}[${attribute}]`).forEach(element => {
+                const value = element.getAttribute(attribute).trim();
+                if (!value || value.startsWith('#')) return;
+                element.setAttribute(attribute, resolve(value));
+            });
+        });
+
+        doc.querySelectorAll(IMAGE_META_SELECTOR).forEach(meta => {
+            if (meta.content) meta.setAttribute('content', resolve(meta.content.trim()));
+        });
+
+        doc.querySelectorAll('img, source').forEach(element => {
+            if (element.hasAttribute('srcset')) {
+                element.setAttribute('srcset', this.resolveSrcset(element.getAttribute('srcset'), resolve));
+            }
+            if (element.tagName === 'IMG') this.fillImageSource(element, resolve);
+        });
+    },
+
+    /**
+     * Base URL for relative links: <base href> (itself relative to the page) or the page URL
+     * @param {Document} doc
+     * @param {string} pageUrl
+     * @returns {string|null} Absolute base URL, or null if the page URL is not valid
+     */
+    getBaseUrl(doc, pageUrl) {
+        try {
+            const base = doc.querySelector('base[href]');
+            return new URL(base ? base.getAttribute('href') : pageUrl, pageUrl).href;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Resolve a URL against a base, leaving it unchanged if it cannot be parsed
+     * @param {string} url - Absolute or relative URL
+     * @param {string} base - Absolute base URL
+     * @returns {string}
+     */
+    resolveUrl(url, base) {
+        if (/^(javascript|data|mailto|tel):/i.test(url)) return url;
+        try {
+            return new URL(url, base).href;
+        } catch (e) {
+            return url;
+        }
+    },
+
+    /**
+     * Remove tracking parameters from an http(s) URL
+     * @param {string} url - Absolute URL
+     * @returns {string}
+     */
+    stripTrackingParams(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return url;
+        }
+        if (!/^https?:$/.test(parsed.protocol) || !parsed.search) return url;
+
+        const names = Array.from(parsed.searchParams.keys());
+        const tracking = names.filter(name => TRACKING_PARAMETERS.some(pattern => pattern.test(name)));
+        if (tracking.length === 0) return url;
+
+        tracking.forEach(name => parsed.searchParams.delete(name));
+        return parsed.href;
+    },
+
+    /**
+     * Resolve every candidate URL in a srcset attribute
+     * @param {string} srcset - e.g. "a.jpg 1x, b.jpg 2x"
+     * @param {Function} resolve - URL resolver
+     * @returns {string}
+     */
+    resolveSrcset(srcset, resolve) {
+        return this.parseSrcset(srcset)
+            .map(candidate => [resolve(candidate.url), candidate.descriptor].filter(Boolean).join(' '))
+            .join(', ');
+    },
+
+    /**
+     * Split a srcset attribute into candidates
+     * URLs may contain commas, so candidates are split on commas followed by whitespace
+     * @param {string} srcset
+     * @returns {Array<{url: string, descriptor: string, size: number}>}
+     */
+    parseSrcset(srcset) {
+        return srcset.split(/,\s+/).map(part => {
+            const [url, descriptor = ''] = part.trim().split(/\s+/);
+            const size = parseFloat(descriptor) || 1;
+            return { url, descriptor, size };
+        }).filter(candidate => candidate.url);
+    },
+
+    /**
+     * Give images without a usable src their lazy-loaded or largest srcset URL
+     * @param {HTMLImageElement} img
+     * @param {Function} resolve - URL resolver
+     */
+    fillImageSource(img, resolve) {
+        const src = img.getAttribute('src') || '';
+        if (src && !src.startsWith('data:')) return;
+
+        const lazy = LAZY_IMAGE_ATTRIBUTES.map(name => img.getAttribute(name)).find(Boolean);
+        if (lazy) {
+            img.setAttribute('src', resolve(lazy.trim()));
+            return;
+        }
+
+        const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset');
+        if (srcset) {
+            const candidates = this.parseSrcset(srcset).sort((a, b) => b.size - a.size);
+            if (candidates.length > 0) img.setAttribute('src', resolve(candidates[0].url));
+        }
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.LinkResolver = LinkResolver;
+}
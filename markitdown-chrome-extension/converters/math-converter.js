@@ -0,0 +1,227 @@
+/**
+ * Math Converter
+ * Recovers TeX from rendered KaTeX, MathJax and MathML so formulas survive as
+ * LaTeX math instead of glyph soup. Formulas are swapped for placeholder elements
+ * before the page is cleaned; the 'math' Turndown rule writes them out.
+ */
+
+// Attribute marking a recovered formula; its value is 'inline' or 'display'
+const MATH_PLACEHOLDER_ATTRIBUTE = 'data-markitdown-math';
+
+// Quick check before parsing HTML that may not contain any math
+const MATH_HINT_PATTERN = /katex|<math[\s>]|math\/tex|MathJax|mjx-container|data-tex=|data-latex=/i;
+
+// Unicode operators and identifiers written as TeX commands
+const MATHML_SYMBOLS = {
+    '∑': '\\sum', '∏': '\\prod', '∫': '\\int', '∮': '\\oint', '√': '\\surd',
+    '≤': '\\le', '≥': '\\ge', '≠': '\\ne', '≈': '\\approx', '≡': '\\equiv', '∼': '\\sim', '∝': '\\propto',
+    '±': '\\pm', '∓': '\\mp', '×': '\\times', '÷': '\\div', '⋅': '\\cdot', '·': '\\cdot', '∘': '\\circ', '−': '-',
+    '∞': '\\infty', '∂': '\\partial', '∇': '\\nabla', '∀': '\\forall', '∃': '\\exists', '¬': '\\neg',
+    '∈': '\\in', '∉': '\\notin', '⊂': '\\subset', '⊆': '\\subseteq', '⊃': '\\supset', '⊇': '\\supseteq',
+    '∪': '\\cup', '∩': '\\cap', '∅': '\\emptyset', '∧': '\\wedge', '∨': '\\vee',
+    '→': '\\to', '←': '\\leftarrow', '↔': '\\leftrightarrow', '⇒': '\\Rightarrow', '⇐': '\\Leftarrow',
+    '⇔': '\\Leftrightarrow', '↦': '\\mapsto', '…': '\\ldots', '⋯': '\\cdots', '⋮': '\\vdots', '⋱': '\\ddots',
+    '′': "'", '″': "''", '⟨': '\\langle', '⟩': '\\rangle', '{': '\\{', '}': '\\}', '%': '\\%', '#': '\\#',
+    'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\epsilon', 'ϵ': '\\epsilon',
+    'ζ': '\\zeta', 'η': '\\eta', 'θ': '\\theta', 'ι': '\\iota', 'κ': '\\kappa', 'λ': '\\lambda', 'μ': '\\mu',
+    'ν': '\\nu', 'ξ': '\\xi', 'π': '\\pi', 'ρ': '\\rho', 'σ': '\\sigma', 'τ': '\\tau', 'υ': '\\upsilon',
+    'φ': '\\phi', 'ϕ': '\\phi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+    'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi',
+    'Σ': '\\Sigma', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+    '⁡': '', '⁢': '', '⁣': ',', '⁤': '+'  // Invisible function application, times, separator, plus
+};
+
+// Multi-letter identifiers with their own TeX command
+const MATHML_FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh',
+    'tanh', 'log', 'ln', 'lg', 'exp', 'lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det', 'dim', 'ker',
+    'deg', 'gcd', 'arg', 'Pr', 'hom'];
+
+// Accents placed over a base by <mover accent="true">
+const MATHML_ACCENTS = {
+    '^': '\\hat', 'ˆ': '\\hat', '~': '\\tilde', '˜': '\\tilde', '¯': '\\overline', '‾': '\\overline', '_': '\\overline',
+    '→': '\\vec', '⃗': '\\vec', '˙': '\\dot', '¨': '\\ddot', '⏞': '\\overbrace'
+};
+
+const MathConverter = {
+    /**
+     * Whether an HTML string looks like it contains rendered or raw math
+     * @param {string} html
+     * @returns {boolean}
+     */
+    hasMath(html) {
+        return MATH_HINT_PATTERN.test(html);
+    },
+
+    /**
+     * Replace every formula in a document with a placeholder holding its TeX
+     * Must run before scripts and aria-hidden elements are removed, since MathJax
+     * keeps its source in scripts and KaTeX hides its rendered copy
+     * @param {Document} doc - Document to update in place
+     * @returns {number} Number of formulas replaced
+     */
+    replaceMath(doc) {
+        let count = 0;
+        const replace = (element, tex, display) => {
+            if (!element.isConnected || tex === null) return;
+            const placeholder = doc.createElement(display ? 'div' : 'span');
+            placeholder.setAttribute(MATH_PLACEHOLDER_ATTRIBUTE, display ? 'display' : 'inline');
+            placeholder.textContent = this.cleanTex(tex);
+            element.replaceWith(placeholder);
+            count++;
+        };
+
+        // KaTeX: the TeX source is kept in a MathML annotation
+        doc.querySelectorAll('.katex-display, .katex').forEach(element => {
+            const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+            const math = element.querySelector('math');
+            const tex = annotation ? annotation.textContent : math ? this.getMathmlTex(math) : null;
+            replace(element, tex, element.classList.contains('katex-display') || !!element.closest('.katex-display'));
+        });
+
+        // MathJax 2: TeX in <script type="math/tex">, next to its rendered output and preview
+        doc.querySelectorAll('script[type^="math/tex"], script[type^="math/asciimath"]').forEach(script => {
+            const display = /mode=display/.test(script.type);
+            const frame = script.id ? doc.getElementById(`${script.id}-Frame`) : null;
+            if (frame) (frame.closest('.MathJax_Display, .MathJax_SVG_Display, .MathJax_MathML') || frame).remove();
+            const preview = script.previousElementSibling;
+            if (preview && preview.classList.contains('MathJax_Preview')) preview.remove();
+            replace(script, script.textContent, display);
+        });
+
+        // MathJax 3: TeX in data attributes, otherwise the assistive MathML copy
+        doc.querySelectorAll('mjx-container').forEach(container => {
+            const math = container.querySelector('math');
+            const tex = container.getAttribute('data-tex') || container.getAttribute('data-latex') ||
+                (math ? this.getMathmlTex(math) : null);
+            replace(container, tex, container.getAttribute('display') === 'true');
+        });
+
+        // Wikipedia (MathML with a fallback image) and other data-tex/data-latex markup
+        doc.querySelectorAll('.mwe-math-element').forEach(element => {
+            const math = element.querySelector('math');
+            const image = element.querySelector('img[alt]');
+            const tex = math ? this.getMathmlTex(math) : image ? image.getAttribute('alt') : null;
+            replace(element, tex, !!element.querySelector('.mwe-math-mathml-display, math[display="block"]'));
+        });
+        doc.querySelectorAll('[data-tex], [data-latex]').forEach(element => {
+            const tex = element.getAttribute('data-tex') || element.getAttribute('data-latex');
+            replace(element, tex, element.getAttribute('display') === 'block' || /display/i.test(element.className));
+        });
+
+        // Plain MathML (arXiv/LaTeXML, MathML-only sites)
+        doc.querySelectorAll('math').forEach(math => {
+            replace(math, this.getMathmlTex(math), math.getAttribute('display') === 'block');
+        });
+
+        return count;
+    },
+
+    /**
+     * TeX for a <math> element: its TeX annotation, its alttext, or a conversion of the markup
+     * @param {Element} math - MathML <math> element
+     * @returns {string}
+     */
+    getMathmlTex(math) {
+        const annotation = math.querySelector('annotation[encoding="application/x-tex"], annotation[encoding="TeX"]');
+        if (annotation) return annotation.textContent;
+        if (math.getAttribute('alttext')) return math.getAttribute('alttext');
+        return this.fromMathml(math);
+    },
+
+    /**
+     * Tidy recovered TeX: drop the {\displaystyle ...} wrapper Wikipedia adds and extra whitespace
+     * @param {string} tex
+     * @returns {string}
+     */
+    cleanTex(tex) {
+        let cleaned = tex.trim();
+        const wrapper = cleaned.match(/^\{\\(?:displaystyle|textstyle)\s*([\s\S]*)\}$/);
+        if (wrapper) cleaned = wrapper[1].trim();
+        return cleaned.replace(/\s+/g, ' ');
+    },
+
+    /**
+     * Convert presentation MathML to TeX
+     * Covers the common layout elements; unknown elements contribute their children
+     * @param {Element} node - MathML element
+     * @returns {string}
+     */
+    fromMathml(node) {
+        const children = Array.from(node.children);
+        const convert = child => child ? this.fromMathml(child) : '';
+        const group = tex => tex.length === 1 || /^\\[a-zA-Z]+$/.test(tex) ? tex : `{${tex}}`;
+        const row = () => children.map(convert).join(' ').replace(/\s+/g, ' ').trim();
+
+        switch (node.localName) {
+            case 'mi': {
+                const text = node.textContent.trim();
+                if (MATHML_SYMBOLS[text] !== undefined) return MATHML_SYMBOLS[text];
+                if (MATHML_FUNCTIONS.includes(text)) return `\\${text}`;
+                if (text.length > 1 || node.getAttribute('mathvariant') === 'normal') return `\\mathrm{${text}}`;
+                return text;
+            }
+            case 'mn':
+                return node.textContent.trim();
+            case 'mo': {
+                const text = node.textContent.trim();
+                return MATHML_SYMBOLS[text] !== undefined ? MATHML_SYMBOLS[text] : text;
+            }
+            case 'mtext':
+            case 'ms': {
+                const text = node.textContent.trim();
+                return text ? `\\text{${text}}` : '';
+            }
+            case 'mspace':
+                return '\\,';
+            case 'msup':
+                return `${group(convert(children[0]))}^${group(convert(children[1]))}`;
+            case 'msub':
+                return `${group(convert(children[0]))}_${group(convert(children[1]))}`;
+            case 'msubsup':
+            case 'munderover':
+                return `${group(convert(children[0]))}_${group(convert(children[1]))}^${group(convert(children[2]))}`;
+            case 'mfrac':
+                return node.getAttribute('linethickness') === '0'
+                    ? `\\binom{${convert(children[0])}}{${convert(children[1])}}`
+                    : `\\frac{${convert(children[0])}}{${convert(children[1])}}`;
+            case 'msqrt':
+                return `\\sqrt{${row()}}`;
+            case 'mroot':
+                return `\\sqrt[${convert(children[1])}]{${convert(children[0])}}`;
+            case 'mover': {
+                const over = children[1] ? children[1].textContent.trim() : '';
+                if (MATHML_ACCENTS[over]) return `${MATHML_ACCENTS[over]}{${convert(children[0])}}`;
+                return `\\overset{${convert(children[1])}}{${convert(children[0])}}`;
+            }
+            case 'munder': {
+                // Limits under big operators (sums, lim) are written as subscripts
+                const base = convert(children[0]);
+                if (/^\\(sum|prod|lim|max|min|sup|inf|int|bigcup|bigcap)$/.test(base)) return `${base}_${group(convert(children[1]))}`;
+                return `\\underset{${convert(children[1])}}{${base}}`;
+            }
+            case 'mfenced': {
+                const open = node.getAttribute('open') ?? '(';
+                const close = node.getAttribute('close') ?? ')';
+                const separator = (node.getAttribute('separators') ?? ',').trim().charAt(0);
+                return `\\left${open || '.'} ${children.map(convert).join(separator ? `${separator} ` : ' ')} \\right${close || '.'}`;
+            }
+            case 'mtable': {
+                const rows = children.map(tr => Array.from(tr.children).map(convert).join(' & '));
+                return `\\begin{matrix} ${rows.join(' \\\\ ')} \\end{matrix}`;
+            }
+            case 'semantics':
+                return convert(children[0]);
+            case 'annotation':
+            case 'annotation-xml':
+            case 'mphantom':
+                return '';
+            default:
+                return row();
+        }
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.MathConverter = MathConverter;
+}
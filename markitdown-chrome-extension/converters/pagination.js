@@ -0,0 +1,249 @@
+/**
+ * Pagination
+ * Finds the "next page" link of articles split across several URLs and merges
+ * the converted pages into one document without the headers and footers
+ * every page repeats
+ */
+
+// Link text of "next page" anchors (English, German, French, Spanish, Portuguese, Italian, Japanese, Chinese)
+const PAGINATION_NEXT_TEXT = /^(next|next page|older|older posts|older entries|weiter|nächste seite|suivant|page suivante|siguiente|página siguiente|próxima|próxima página|successiva|pagina successiva|次へ|次のページ|下一页)\s*[›»→>]*$/i;
+
+// Elements holding pagination links
+const PAGINATION_CONTAINER_SELECTOR = [
+    '.pagination', '.pager', '.page-numbers', '.paging', '.pagenav', '.page-nav', '.wp-pagenavi',
+    'nav[aria-label*="pagination" i]', 'nav[aria-label*="pages" i]', '[role="navigation"][aria-label*="pagination" i]'
+].join(', ');
+
+// Anchors marked as the next page by class
+const PAGINATION_NEXT_SELECTOR = [
+    'a.next', 'a.next-page', 'a.pagination-next', '.next > a', '.nav-next a', '.pagination-next a', 'a[aria-label^="next" i]'
+].join(', ');
+
+// Query parameters holding the page number
+const PAGINATION_PAGE_PARAMETERS = ['page', 'p', 'pg', 'paged', 'pagenum'];
+
+// Time allowed for fetching each following page
+const PAGINATION_FETCH_TIMEOUT_MS = 30000;
+
+// Footnote definitions, link reference definitions and their indented continuation lines
+const DEFINITION_START = /^\[\^?\d+\]: /;
+const DEFINITION_CONTINUATION = /^( {4}|$)/;
+
+const Pagination = {
+    /**
+     * URL of the page after this one
+     * @param {Document} doc - Current page
+     * @param {string} pageUrl - Current page URL
+     * @param {Set<string>} seen - Normalized URLs already captured (never returned, which stops loops)
+     * @returns {string|null} Normalized URL of the next page
+     */
+    findNextUrl(doc, pageUrl, seen = new Set()) {
+        const origin = new URL(pageUrl).origin;
+        const accept = href => {
+            if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return null;
+            try {
+                const url = new URL(href, pageUrl);
+                const normalized = this.normalizeUrl(url.href);
+                if (url.origin !== origin || normalized === this.normalizeUrl(pageUrl) || seen.has(normalized)) return null;
+                return normalized;
+            } catch (e) {
+                return null;
+            }
+        };
+        const first = elements => {
+            for (const element of elements) {
+                const url = accept(element.getAttribute('href'));
+                if (url) return url;
+            }
+            return null;
+        };
+
+        // "Next" and arrow links elsewhere (post navigation, carousels) lead to other content
+        const anchors = Array.from(doc.querySelectorAll('a[href]'));
+        const pagerAnchors = anchors.filter(anchor => this.isInPager(anchor));
+        return first(doc.querySelectorAll('link[rel~="next" i][href]')) ||
+            first(doc.querySelectorAll('a[rel~="next" i][href]')) ||
+            first(doc.querySelectorAll(PAGINATION_NEXT_SELECTOR)) ||
+            first(pagerAnchors.filter(anchor => this.isNextLabel(anchor))) ||
+            first(pagerAnchors.filter(anchor => /^[›»→>]+$/.test(anchor.textContent.trim()))) ||
+            this.findIncrementedPageUrl(anchors, pageUrl, accept);
+    },
+
+    /**
+     * Whether an anchor's text or label says "next page"
+     * @param {HTMLAnchorElement} anchor
+     * @returns {boolean}
+     */
+    isNextLabel(anchor) {
+        const labels = [anchor.textContent, anchor.getAttribute('aria-label'), anchor.getAttribute('title')];
+        return labels.some(label => label && PAGINATION_NEXT_TEXT.test(label.replace(/\s+/g, ' ').trim()));
+    },
+
+    /**
+     * Whether an anchor is part of a pager: inside a pagination container, or next to page number links
+     * @param {HTMLAnchorElement} anchor
+     * @returns {boolean}
+     */
+    isInPager(anchor) {
+        if (anchor.closest(PAGINATION_CONTAINER_SELECTOR)) return true;
+
+        for (let node = anchor.parentElement, level = 0; node && level < 2; node = node.parentElement, level++) {
+            const numbers = Array.from(node.querySelectorAll('a[href]'))
+                .filter(other => other !== anchor && /^\d+$/.test(other.textContent.trim()));
+            if (numbers.length > 0) return true;
+        }
+        return false;
+    },
+
+    /**
+     * A link to the same URL with its page number parameter one higher (?page=2 -> ?page=3)
+     * @param {HTMLAnchorElement[]} anchors
+     * @param {string} pageUrl
+     * @param {Function} accept - Validates and normalizes a candidate href
+     * @returns {string|null}
+     */
+    findIncrementedPageUrl(anchors, pageUrl, accept) {
+        const current = new URL(pageUrl);
+        for (const anchor of anchors) {
+            const url = accept(anchor.getAttribute('href'));
+            if (!url) continue;
+
+            const candidate = new URL(url);
+            if (candidate.pathname !== current.pathname) continue;
+            const matches = PAGINATION_PAGE_PARAMETERS.some(name => {
+                const next = Number(candidate.searchParams.get(name));
+                const page = Number(current.searchParams.get(name) || 1);
+                return Number.isInteger(next) && next === page + 1;
+            });
+            if (matches) return url;
+        }
+        return null;
+    },
+
+    /**
+     * URL used to recognise a page (no fragment)
+     * @param {string} url
+     * @returns {string}
+     */
+    normalizeUrl(url) {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    },
+
+    /**
+     * Remove pagination links so they do not end up between the stitched pages
+     * @param {Document} doc - Document to update in place
+     */
+    removeNavigation(doc) {
+        doc.querySelectorAll(PAGINATION_CONTAINER_SELECTOR).forEach(element => element.remove());
+    },
+
+    /**
+     * Join the Markdown of consecutive pages into one document
+     * Leading and trailing blocks already seen on an earlier page (title, byline,
+     * share links, author box) are dropped, and footnote and reference link numbers
+     * are shifted so each page's definitions stay distinct
+     * @param {string[]} pages - Markdown of each page, in order
+     * @returns {string}
+     */
+    merge(pages) {
+        const seenBlocks = new Set();
+        const bodies = [];
+        const footnotes = [];
+        const references = [];
+        const offsets = { footnote: 0, reference: 0 };
+
+        pages.forEach((markdown, i) => {
+            const { body, definitions } = this.splitDefinitions(markdown);
+
+            // Labels can have gaps (only referenced notes are kept), so shift past the highest one used
+            const shift = text => this.shiftLabels(text, offsets.footnote, offsets.reference);
+            const used = this.getMaxLabels(markdown);
+
+            let blocks = body.trim().split(/\n{2,}/).filter(block => block.trim());
+            if (i > 0) {
+                while (blocks.length > 0 && seenBlocks.has(blocks[0].trim())) blocks.shift();
+                while (blocks.length > 0 && seenBlocks.has(blocks[blocks.length - 1].trim())) blocks.pop();
+            }
+            blocks.forEach(block => seenBlocks.add(block.trim()));
+            if (blocks.length > 0) bodies.push(shift(blocks.join('\n\n')));
+
+            definitions.forEach(definition => {
+                (definition.startsWith('[^') ? footnotes : references).push(shift(definition));
+            });
+
+            offsets.footnote += used.footnote;
+            offsets.reference += used.reference;
+        });
+
+        let markdown = bodies.join('\n\n');
+        if (footnotes.length > 0) markdown += '\n\n' + footnotes.join('\n');
+        if (references.length > 0) markdown += '\n\n' + references.join('\n');
+        return markdown;
+    },
+
+    /**
+     * Add offsets to the numeric footnote ([^n]) and reference link ([text][n], [n]: url) labels
+     * @param {string} markdown
+     * @param {number} footnoteOffset
+     * @param {number} referenceOffset
+     * @returns {string}
+     */
+    shiftLabels(markdown, footnoteOffset, referenceOffset) {
+        if (footnoteOffset === 0 && referenceOffset === 0) return markdown;
+        return markdown
+            .replace(/\[\^(\d+)\]/g, (match, n) => `[^${Number(n) + footnoteOffset}]`)
+            .replace(/\]\[(\d+)\]/g, (match, n) => `][${Number(n) + referenceOffset}]`)
+            .replace(/^\[(\d+)\]: /gm, (match, n) => `[${Number(n) + referenceOffset}]: `);
+    },
+
+    /**
+     * Highest numeric footnote and reference link labels in a document
+     * @param {string} markdown
+     * @returns {{footnote: number, reference: number}} 0 when there are none
+     */
+    getMaxLabels(markdown) {
+        const max = pattern => Array.from(markdown.matchAll(pattern), match => Number(match[1]))
+            .reduce((highest, label) => Math.max(highest, label), 0);
+        return {
+            footnote: max(/\[\^(\d+)\]/g),
+            reference: Math.max(max(/\]\[(\d+)\]/g), max(/^\[(\d+)\]: /gm))
+        };
+    },
+
+    /**
+     * Separate a page's trailing footnote and link definitions from its body
+     * @param {string} markdown
+     * @returns {{body: string, definitions: string[]}} Each definition includes its continuation lines
+     */
+    splitDefinitions(markdown) {
+        const lines = markdown.replace(/\s+$/, '').split('\n');
+
+        // valid[j]: every line from j to the end belongs to the definitions section
+        const valid = new Array(lines.length + 1).fill(false);
+        valid[lines.length] = true;
+        for (let j = lines.length - 1; j >= 0; j--) {
+            valid[j] = valid[j + 1] && (DEFINITION_START.test(lines[j]) || DEFINITION_CONTINUATION.test(lines[j]));
+        }
+
+        const start = lines.findIndex((line, j) => DEFINITION_START.test(line) && valid[j] && (j === 0 || lines[j - 1] === ''));
+        if (start === -1) return { body: markdown, definitions: [] };
+
+        const definitions = [];
+        lines.slice(start).forEach(line => {
+            if (DEFINITION_START.test(line)) definitions.push(line);
+            else definitions[definitions.length - 1] += '\n' + line;
+        });
+        return {
+            body: lines.slice(0, start).join('\n'),
+            definitions: definitions.map(definition => definition.replace(/\n+$/, ''))
+        };
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.Pagination = Pagination;
+    window.PAGINATION_FETCH_TIMEOUT_MS = PAGINATION_FETCH_TIMEOUT_MS;
+}
@@ -0,0 +1,459 @@
+/**
+ * Turndown Rules
+ * GitHub Flavored Markdown rules that replace the simplified ones in vendor/turndown.js
+ */
+
+// Largest colspan/rowspan expanded into the grid (browsers clamp larger values too)
+const MAX_TABLE_SPAN = 100;
+
+// Attributes kept when a table is left as HTML
+const HTML_TABLE_ATTRIBUTES = ['colspan', 'rowspan', 'align', 'scope', 'href', 'src', 'alt', 'title'];
+
+// Line-number gutters added by highlighters (Prism, highlight.js, Pygments, Rouge, Chroma, react-syntax-highlighter)
+const CODE_GUTTER_SELECTOR = [
+    '.line-numbers-rows', '.linenos', '.linenodiv', '.lineno', '.lnt', '.ln', '.hljs-ln-numbers',
+    '.rouge-gutter', '.gutter', '.line-number', '.react-syntax-highlighter-line-number'
+].join(', ');
+
+// Copy buttons and toolbars placed in or next to code blocks
+const CODE_CHROME_SELECTOR = ['button', 'clipboard-copy', '.code-toolbar > .toolbar'].join(', ');
+
+// Copy button classes; generic enough (.copy) to be used by content wrappers, so only short leaf elements match
+const CODE_COPY_CLASS_SELECTOR = [
+    '.copy', '.copy-button', '.copy-code', '.copy-code-button', '.btn-copy', '.clipboard'
+].join(', ');
+
+// Longest text of an element matched by CODE_COPY_CLASS_SELECTOR ("Copy", "Copy code", "Copied!")
+const CODE_COPY_MAX_TEXT_LENGTH = 20;
+
+// Children that make an element a content block rather than a button
+const CODE_COPY_BLOCK_CHILD_SELECTOR = 'p, div, pre, ul, ol, table, blockquote, section, article, h1, h2, h3, h4, h5, h6';
+
+// Class names holding the language, in order of preference
+const CODE_LANGUAGE_PATTERNS = [
+    /(?:^|\s)language-([\w+#.-]+)/,
+    /(?:^|\s)lang-([\w+#.-]+)/,
+    /(?:^|\s)highlight-source-([\w+#.-]+)/,     // GitHub
+    /(?:^|\s)highlight-(?!source)([\w+#.-]+)/,  // Sphinx
+    /(?:^|\s)sourceCode\s+([\w+#.-]+)/,          // Pandoc
+    /(?:^|\s)brush:\s*([\w+#.-]+)/               // SyntaxHighlighter
+];
+
+// Patterns also read on wrappers above the block's parent: highlighter classes, not the
+// lang-* and data-lang that pages use for their own language
+const CODE_WRAPPER_LANGUAGE_PATTERNS = CODE_LANGUAGE_PATTERNS.filter(pattern => !pattern.source.includes('lang-'));
+
+// Language names that mean "no highlighting"
+const PLAIN_CODE_LANGUAGES = ['none', 'text', 'plain', 'plaintext', 'nohighlight', 'txt', 'output'];
+
+const TurndownRules = {
+    /**
+     * Replace the vendor table rules with GFM tables
+     * Tables are converted as a whole from the <table> element; the row and cell
+     * rules only pass content through. Tables that cannot be expressed in GFM stay HTML.
+     * @param {TurndownService} service - Service to add the rules to
+     */
+    addTableRules(service) {
+        service.addRule('table', {
+            filter: 'table',
+            replacement: (content, node) => '\n\n' + this.convertTable(node, service) + '\n\n'
+        });
+        service.addRule('tableRow', {
+            filter: 'tr',
+            replacement: content => content
+        });
+        service.addRule('tableCell', {
+            filter: ['th', 'td'],
+            replacement: content => content
+        });
+        service.addRule('tableCaption', {
+            filter: 'caption',
+            replacement: () => ''
+        });
+    },
+
+    /**
+     * Replace the vendor code block rule with one that detects the language,
+     * strips highlighter gutters and copy buttons, and keeps exact whitespace
+     * @param {TurndownService} service - Service to add the rules to
+     */
+    addCodeBlockRules(service) {
+        service.addRule('fencedCodeBlock', {
+            filter: 'pre',
+            replacement: (content, node) => {
+                if (this.isLineNumberGutter(node)) return '';
+                return '\n\n' + this.convertCodeBlock(node) + '\n\n';
+            }
+        });
+        service.addRule('codeBlockChrome', {
+            filter: node => this.isCodeChrome(node) && this.isNearCodeBlock(node),
+            replacement: () => ''
+        });
+    },
+
+    /**
+     * Write formulas recovered by MathConverter.replaceMath() as Markdown math
+     * @param {TurndownService} service - Service to add the rule to
+     * @param {string} syntax - 'dollar' ($x$, $$x$$), 'github' ($`x`$, ```math) or 'latex' (\\(x\\), \\[x\\])
+     */
+    addMathRules(service, syntax = 'dollar') {
+        service.addRule('math', {
+            filter: node => node.hasAttribute(MATH_PLACEHOLDER_ATTRIBUTE),
+            replacement: (content, node) => {
+                const tex = node.textContent.trim();
+                if (!tex) return '';
+
+                if (node.getAttribute(MATH_PLACEHOLDER_ATTRIBUTE) !== 'display') {
+                    if (syntax === 'github') return '$`' + tex + '`$';
+                    if (syntax === 'latex') return '\\(' + tex + '\\)';
+                    return '$' + tex + '$';
+                }
+
+                if (syntax === 'github') return '\n\n```math\n' + tex + '\n```\n\n';
+                if (syntax === 'latex') return '\n\n\\[\n' + tex + '\n\\]\n\n';
+                return '\n\n$$\n' + tex + '\n$$\n\n';
+            }
+        });
+    },
+
+    /**
+     * Write note references found by FootnoteConverter.extract() as [^label]
+     * @param {TurndownService} service - Service to add the rule to
+     */
+    addFootnoteRules(service) {
+        service.addRule('footnoteReference', {
+            filter: node => node.hasAttribute(FOOTNOTE_PLACEHOLDER_ATTRIBUTE),
+            replacement: (content, node) => `[^${node.getAttribute(FOOTNOTE_PLACEHOLDER_ATTRIBUTE)}]`
+        });
+    },
+
+    /**
+     * Write links inline ([text](url)) or as numbered references ([text][1])
+     * @param {TurndownService} service - Service to add the rule to
+     * @param {string} style - 'inline' or 'referenced'
+     * @param {Array<{url: string, title: string}>} references - Collects referenced links; a link's label is its index + 1
+     */
+    addLinkRules(service, style = 'inline', references = []) {
+        service.addRule('inlineLink', {
+            filter: node => node.nodeName === 'A' && !!node.getAttribute('href'),
+            replacement: (content, node) => {
+                const url = node.getAttribute('href');
+                const title = (node.getAttribute('title') || '').replace(/"/g, '\\"');
+
+                if (style !== 'referenced') return `[${content}](${url}${title ? ` "${title}"` : ''})`;
+
+                let index = references.findIndex(reference => reference.url === url && reference.title === title);
+                if (index === -1) index = references.push({ url, title }) - 1;
+                return `[${content}][${index + 1}]`;
+            }
+        });
+    },
+
+    /**
+     * Write embedded frames as links to their source, or drop them
+     * @param {TurndownService} service - Service to add the rule to
+     * @param {boolean} keep - Keep iframes (site rules can ask for this)
+     */
+    addEmbedRules(service, keep = false) {
+        service.addRule('iframe', {
+            filter: node => node.nodeName === 'IFRAME',
+            replacement: (content, node) => {
+                const src = node.getAttribute('src');
+                if (!keep || !src || /^(about|javascript):/i.test(src)) return '';
+                const title = (node.getAttribute('title') || 'Embedded content').replace(/([\\[\]])/g, '\\$1');
+                return `\n\n[${title}](${src})\n\n`;
+            }
+        });
+    },
+
+    /**
+     * Build the link reference definitions collected by the 'referenced' link style
+     * @param {Array<{url: string, title: string}>} references - References from addLinkRules()
+     * @returns {string} Definitions preceded by a blank line, or '' when there are none
+     */
+    formatLinkDefinitions(references) {
+        if (references.length === 0) return '';
+        return '\n\n' + references.map(({ url, title }, index) =>
+            `[${index + 1}]: ${url}${title ? ` "${title}"` : ''}`).join('\n');
+    },
+
+    /**
+     * Convert a <pre> element to a fenced code block
+     * @param {HTMLPreElement} pre - Code block
+     * @returns {string} Fenced code block
+     */
+    convertCodeBlock(pre) {
+        const code = this.getCodeText(pre).replace(/\n$/, '');
+        const language = this.getCodeLanguage(pre);
+
+        // The fence must be longer than any backtick run inside the code
+        const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+
+        return fence + language + '\n' + code + '\n' + fence;
+    },
+
+    /**
+     * Code text without gutters or buttons, with whitespace preserved
+     * Line wrappers that do not end in a newline (table rows, <br>, block elements) get one
+     * @param {HTMLPreElement} pre - Code block
+     * @returns {string}
+     */
+    getCodeText(pre) {
+        const clone = pre.cloneNode(true);
+        clone.querySelectorAll(CODE_GUTTER_SELECTOR).forEach(element => element.remove());
+        clone.querySelectorAll(`${CODE_CHROME_SELECTOR}, ${CODE_COPY_CLASS_SELECTOR}`).forEach(element => {
+            if (clone.contains(element) && this.isCodeChrome(element)) element.remove();
+        });
+        clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+        // Innermost first, so nested wrappers see the newline their last line already got
+        Array.from(clone.querySelectorAll('tr, div, p')).reverse().forEach(line => {
+            const next = line.nextSibling;
+            if (line.textContent.endsWith('\n') || (next && next.textContent.startsWith('\n'))) return;
+            line.append('\n');
+        });
+        return clone.textContent;
+    },
+
+    /**
+     * Language of a code block from data attributes or highlighter class names on
+     * the block, its <code> child, its parent or the highlighter wrapper around it
+     * @param {HTMLPreElement} pre - Code block
+     * @returns {string} Language tag, or '' if unknown
+     */
+    getCodeLanguage(pre) {
+        const code = pre.querySelector(':scope > code');
+        const candidates = [code, pre, pre.parentElement];
+
+        // Further wrappers only count while they hold this block alone, and only for highlighter classes
+        const wrappers = [];
+        for (let node = pre.parentElement && pre.parentElement.parentElement, level = 0; node && level < 4; node = node.parentElement, level++) {
+            if (node.tagName === 'BODY' || node.tagName === 'HTML' || node.querySelectorAll('pre').length > 1) break;
+            wrappers.push(node);
+        }
+
+        for (const element of [...candidates, ...wrappers].filter(Boolean)) {
+            const isWrapper = wrappers.includes(element);
+            if (element.tagName === 'BODY' || element.tagName === 'HTML') continue;
+
+            // lang is only read on the block itself since ancestors use it for the page language
+            const attribute = isWrapper ? null : element.getAttribute('data-lang') || element.getAttribute('data-language') ||
+                (element === pre || element === code ? element.getAttribute('lang') : null);
+            const className = typeof element.className === 'string' ? element.className : '';
+            const patterns = isWrapper ? CODE_WRAPPER_LANGUAGE_PATTERNS : CODE_LANGUAGE_PATTERNS;
+            const match = attribute ? [null, attribute] : patterns.map(pattern => className.match(pattern)).find(Boolean);
+            if (!match) continue;
+
+            const language = match[1].toLowerCase().replace(/[.;:]+$/, '');
+            return PLAIN_CODE_LANGUAGES.includes(language) ? '' : language;
+        }
+
+        return '';
+    },
+
+    /**
+     * Whether a <pre> only holds line numbers (the gutter cell of a highlighter table)
+     * @param {HTMLPreElement} pre
+     * @returns {boolean}
+     */
+    isLineNumberGutter(pre) {
+        if (pre.closest(CODE_GUTTER_SELECTOR)) return true;
+        return !!pre.closest('td') && /^[\d\s]+$/.test(pre.textContent);
+    },
+
+    /**
+     * Whether an element is a copy button or code toolbar: a button, or a short element
+     * without block children carrying a copy class
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isCodeChrome(element) {
+        if (element.matches(CODE_CHROME_SELECTOR)) return true;
+        return element.matches(CODE_COPY_CLASS_SELECTOR) &&
+            element.textContent.trim().length <= CODE_COPY_MAX_TEXT_LENGTH &&
+            !element.querySelector(CODE_COPY_BLOCK_CHILD_SELECTOR);
+    },
+
+    /**
+     * Whether an element sits inside or next to a code block (for dropping copy buttons)
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isNearCodeBlock(element) {
+        for (let node = element.parentElement, level = 0; node && level < 3; node = node.parentElement, level++) {
+            if (node.tagName === 'PRE' || node.querySelector('pre')) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Find the code cell of a highlighter table that puts line numbers in their own cell
+     * @param {HTMLTableElement} table
+     * @returns {HTMLPreElement|null} Code block, or null if this is not a code table
+     */
+    getCodeTablePre(table) {
+        if (table.rows.length !== 1) return null;
+
+        const cells = Array.from(table.rows[0].cells);
+        const codeCells = cells.filter(cell => {
+            const pre = cell.querySelector('pre');
+            return pre && !this.isLineNumberGutter(pre);
+        });
+        const others = cells.filter(cell => !codeCells.includes(cell));
+        if (codeCells.length !== 1 || !others.every(cell => /^[\d\s]*$/.test(cell.textContent))) return null;
+
+        return codeCells[0].querySelector('pre');
+    },
+
+    /**
+     * Convert a table element to a GFM table, or cleaned HTML for complex tables
+     * @param {HTMLTableElement} table - Table to convert
+     * @param {TurndownService} service - Service used to convert cell contents
+     * @returns {string} Markdown
+     */
+    convertTable(table, service) {
+        const codePre = this.getCodeTablePre(table);
+        if (codePre) return this.convertCodeBlock(codePre);
+        if (this.isComplexTable(table)) return this.cleanTableHtml(table, service);
+
+        const grid = this.buildTableGrid(table, service);
+        if (grid.rows.length === 0) return '';
+
+        // Single-cell layout tables are just a wrapper around their content
+        const columnCount = Math.max(...grid.rows.map(row => row.length));
+        if (grid.rows.length === 1 && columnCount === 1) {
+            return service.process(table.rows[0].cells[0]).trim();
+        }
+
+        const pad = row => row.concat(new Array(columnCount - row.length).fill(''));
+        const header = grid.headerRow ? pad(grid.rows[0]) : new Array(columnCount).fill('');
+        const body = grid.headerRow ? grid.rows.slice(1) : grid.rows;
+
+        const separator = Array.from({ length: columnCount }, (_, column) => {
+            const align = grid.alignments[column];
+            if (align === 'center') return ':---:';
+            if (align === 'right') return '---:';
+            if (align === 'left') return ':---';
+            return '---';
+        });
+
+        const formatRow = cells => '| ' + cells.join(' | ') + ' |';
+        const lines = [formatRow(header), formatRow(separator), ...body.map(row => formatRow(pad(row)))];
+
+        const caption = table.querySelector(':scope > caption');
+        // Caption text only, so inline formatting inside it cannot clash with the bold
+        const captionText = caption ? caption.textContent.replace(/\s+/g, ' ').trim() : '';
+        return (captionText ? `**${captionText}**\n\n` : '') + lines.join('\n');
+    },
+
+    /**
+     * Expand a table into a grid of flattened cell contents
+     * Colspans leave the covered cells empty; rowspans repeat the value in every
+     * covered row so each row still reads on its own
+     * @param {HTMLTableElement} table - Table to expand
+     * @param {TurndownService} service - Service used to convert cell contents
+     * @returns {{rows: string[][], headerRow: boolean, alignments: string[]}}
+     */
+    buildTableGrid(table, service) {
+        const rows = [];
+        const alignments = [];
+        const rowElements = Array.from(table.rows);
+
+        rowElements.forEach((row, rowIndex) => {
+            rows[rowIndex] = rows[rowIndex] || [];
+            let column = 0;
+
+            Array.from(row.cells).forEach(cell => {
+                while (rows[rowIndex][column] !== undefined) column++;
+
+                const text = this.flattenCell(service.process(cell));
+                const colspan = Math.min(Math.max(parseInt(cell.getAttribute('colspan'), 10) || 1, 1), MAX_TABLE_SPAN);
+                const rowspan = Math.min(Math.max(parseInt(cell.getAttribute('rowspan'), 10) || 1, 1),
+                    rowElements.length - rowIndex, MAX_TABLE_SPAN);
+
+                for (let r = 0; r < rowspan; r++) {
+                    rows[rowIndex + r] = rows[rowIndex + r] || [];
+                    for (let c = 0; c < colspan; c++) {
+                        rows[rowIndex + r][column + c] = c === 0 ? text : '';
+                    }
+                }
+
+                const align = this.getCellAlignment(cell);
+                if (align && !alignments[column]) alignments[column] = align;
+                column += colspan;
+            });
+        });
+
+        // Fill holes left by spans from rows that ended early
+        const grid = rows.map(row => Array.from(row, cell => cell === undefined ? '' : cell));
+
+        const firstRow = rowElements[0];
+        const headerRow = !!firstRow && (firstRow.parentElement.tagName === 'THEAD' ||
+            Array.from(firstRow.cells).every(cell => cell.tagName === 'TH'));
+
+        return { rows: grid, headerRow, alignments };
+    },
+
+    /**
+     * Column alignment from the align attribute or text-align style
+     * @param {HTMLTableCellElement} cell
+     * @returns {string|null} 'left', 'center', 'right' or null
+     */
+    getCellAlignment(cell) {
+        const style = cell.getAttribute('style') || '';
+        const match = style.match(/text-align\s*:\s*(left|center|right)/i);
+        const align = (match ? match[1] : cell.getAttribute('align') || '').toLowerCase();
+        return ['left', 'center', 'right'].includes(align) ? align : null;
+    },
+
+    /**
+     * Put converted cell content on one line and escape pipes
+     * @param {string} markdown - Converted cell content
+     * @returns {string}
+     */
+    flattenCell(markdown) {
+        return markdown
+            .trim()
+            .replace(/\|/g, '\\|')
+            .replace(/[ \t]*\n+[ \t]*/g, '<br>');
+    },
+
+    /**
+     * Whether a table needs HTML: nested tables, or code blocks that cannot share a line
+     * @param {HTMLTableElement} table
+     * @returns {boolean}
+     */
+    isComplexTable(table) {
+        return !!table.querySelector('table, pre');
+    },
+
+    /**
+     * Table HTML without presentational attributes
+     * Footnote and formula placeholders lose their marking attributes, so they are written
+     * as Markdown text ([^1], $x$) first
+     * @param {HTMLTableElement} table
+     * @param {TurndownService} service - Service with the footnote and math rules
+     * @returns {string}
+     */
+    cleanTableHtml(table, service) {
+        const clone = table.cloneNode(true);
+        clone.querySelectorAll(`[${FOOTNOTE_PLACEHOLDER_ATTRIBUTE}], [${MATH_PLACEHOLDER_ATTRIBUTE}]`).forEach(placeholder => {
+            if (!clone.contains(placeholder)) return;
+            const wrapper = placeholder.ownerDocument.createElement('span');
+            placeholder.replaceWith(wrapper);
+            wrapper.append(placeholder);
+            wrapper.replaceWith(service.process(wrapper).trim());
+        });
+        [clone, ...clone.querySelectorAll('*')].forEach(element => {
+            Array.from(element.attributes).forEach(attr => {
+                if (!HTML_TABLE_ATTRIBUTES.includes(attr.name)) element.removeAttribute(attr.name);
+            });
+        });
+        return clone.outerHTML;
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.TurndownRules = TurndownRules;
+}
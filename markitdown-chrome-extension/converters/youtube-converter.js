@@ -37,10 +37,25 @@ const YouTubeConverter = {
     /**
      * Convert YouTube page to Markdown
      * @param {Object} data - YouTube page data from content script
+     * @param {Object} options - Output options
+     * @param {string} options.headerStyle - 'blockquote' (default) or 'frontmatter'
+     * @param {string} options.url - Video page URL
+     * @param {string} options.transcriptFormat - 'plain', 'timestamped' (default), 'srt' or 'vtt'
      * @returns {string} Markdown content
      */
-    convert(data) {
-        let markdown = '# YouTube\n\n';
+    convert(data, options = {}) {
+        const { headerStyle = 'blockquote', url = '', transcriptFormat = 'timestamped' } = options;
+        const videoId = url ? this.extractVideoId(url) : null;
+        const chapters = this.getChapters(data);
+        let markdown = '';
+
+        if (headerStyle === 'frontmatter') {
+            markdown += FrontMatter.build(this.getMetadata(data, url));
+        } else if (url) {
+            markdown += `> Source: ${url}\n\n`;
+        }
+
+        markdown += '# YouTube\n\n';
 
         if (data.title) {
             markdown += `## ${data.title}\n\n`;
@@ -59,6 +74,24 @@ const YouTubeConverter = {
             markdown += stats.join('\n') + '\n\n';
         }
 
+        // Chapter table of contents
+        const segments = data.transcriptSegments || [];
+        const splitByChapter = chapters.length > 0 && segments.length > 0 && !['srt', 'vtt'].includes(transcriptFormat);
+        if (chapters.length > 0) {
+            markdown += '### Chapters\n';
+            markdown += chapters.map((chapter, i) => {
+                const label = this.formatTimestamp(chapter.start);
+                const title = splitByChapter ? `[${chapter.title}](#${this.slugify(this.formatChapterHeading(chapter))})` : chapter.title;
+                const stamp = videoId ? `[${label}](https://youtu.be/${videoId}?t=${Math.floor(chapter.start)})` : label;
+                return `${i + 1}. ${title} (${stamp})`;
+            }).join('\n') + '\n\n';
+
+            // The transcript follows as one section per chapter instead of a Transcript section
+            if (splitByChapter && data.transcriptTrack) {
+                markdown += `*${this.describeTrack(data.transcriptTrack)}*\n\n`;
+            }
+        }
+
         // Description
         if (data.description) {
             markdown += '### Description\n';
@@ -66,7 +99,21 @@ const YouTubeConverter = {
         }
 
         // Transcript
-        if (data.transcript && data.transcript.length > 0) {
+        if (splitByChapter) {
+            markdown += this.splitByChapters(segments, chapters).map(({ chapter, segments: chapterSegments }) => {
+                let section = `### ${this.formatChapterHeading(chapter)}\n\n`;
+                if (chapterSegments.length > 0) {
+                    section += this.formatTranscript(chapterSegments, { format: transcriptFormat, videoId }) + '\n';
+                }
+                return section;
+            }).join('\n');
+        } else if (segments.length > 0) {
+            markdown += '### Transcript\n';
+            if (data.transcriptTrack) {
+                markdown += `*${this.describeTrack(data.transcriptTrack)}*\n\n`;
+            }
+            markdown += this.formatTranscript(segments, { format: transcriptFormat, videoId }) + '\n';
+        } else if (data.transcript && data.transcript.length > 0) {
             markdown += '### Transcript\n';
             markdown += data.transcript + '\n';
         } else if (data.transcriptError) {
@@ -76,6 +123,124 @@ const YouTubeConverter = {
         return markdown;
     },
 
+    /**
+     * Get chapters from the player markers, falling back to timestamps in the description
+     * @param {Object} data - YouTube page data from content script
+     * @returns {Array<{title: string, start: number}>} Chapters sorted by start time
+     */
+    getChapters(data) {
+        if (data.chapters && data.chapters.length >= 2) return data.chapters;
+        return this.parseChapters(data.description || '');
+    },
+
+    /**
+     * Parse chapter timestamps from a video description
+     * Accepts "0:00 Intro", "(1:23) Topic", "Topic - 1:02:03" and list-marker variants.
+     * Like YouTube, requires at least two ascending chapters, the first at 0:00.
+     * @param {string} description - Description text with line breaks
+     * @returns {Array<{title: string, start: number}>} Chapters, or [] if none found
+     */
+    parseChapters(description) {
+        const timestamp = '((?:\\d{1,2}:)?\\d{1,2}:\\d{2})';
+        const leading = new RegExp(`^[\\s\\-•*▶►]*[\\[(]?${timestamp}[\\])]?\\s*[-–—:|.)]?\\s*(.+)$`);
+        const trailing = new RegExp(`^[\\s\\-•*]*(.+?)\\s*[-–—:|]?\\s*[\\[(]?${timestamp}[\\])]?$`);
+
+        const chapters = [];
+        for (const line of description.split(/\r?\n/)) {
+            const trimmed = line.trim();
+            let match = trimmed.match(leading);
+            if (match) {
+                chapters.push({ start: this.parseTimestamp(match[1]), title: match[2].trim() });
+                continue;
+            }
+            match = trimmed.match(trailing);
+            if (match) {
+                chapters.push({ start: this.parseTimestamp(match[2]), title: match[1].trim() });
+            }
+        }
+
+        // Take the run that starts at 0:00 and stop at the first timestamp that goes backwards
+        const first = chapters.findIndex(chapter => chapter.start === 0);
+        if (first === -1) return [];
+
+        const run = [chapters[first]];
+        for (const chapter of chapters.slice(first + 1)) {
+            if (chapter.start <= run[run.length - 1].start) break;
+            run.push(chapter);
+        }
+        return run.length >= 2 ? run : [];
+    },
+
+    /**
+     * Assign transcript segments to the chapter they start in
+     * @param {Array} segments - Transcript segments
+     * @param {Array} chapters - Chapters sorted by start time
+     * @returns {Array<{chapter: Object, segments: Array}>}
+     */
+    splitByChapters(segments, chapters) {
+        const sections = chapters.map(chapter => ({ chapter, segments: [] }));
+
+        for (const seg of segments) {
+            let index = 0;
+            while (index + 1 < chapters.length && seg.start >= chapters[index + 1].start) index++;
+            sections[index].segments.push(seg);
+        }
+
+        return sections;
+    },
+
+    /**
+     * Heading text for a chapter, e.g. "Intro (00:00)"
+     * @param {{title: string, start: number}} chapter
+     * @returns {string}
+     */
+    formatChapterHeading(chapter) {
+        return `${chapter.title} (${this.formatTimestamp(chapter.start)})`;
+    },
+
+    /**
+     * GitHub-style heading anchor for in-document links
+     * @param {string} text - Heading text
+     * @returns {string}
+     */
+    slugify(text) {
+        return text
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+            .trim()
+            .replace(/\s/g, '-');
+    },
+
+    /**
+     * Parse "1:02:03" or "4:05" into seconds
+     * @param {string} timestamp
+     * @returns {number}
+     */
+    parseTimestamp(timestamp) {
+        return timestamp.split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+    },
+
+    /**
+     * Build front matter fields for a video
+     * @param {Object} data - YouTube page data from content script
+     * @param {string} url - Video page URL
+     * @returns {Object} Metadata fields in front matter order
+     */
+    getMetadata(data, url) {
+        const videoId = url ? this.extractVideoId(url) : null;
+        return {
+            title: data.title || null,
+            url: videoId ? `https://www.youtube.com/watch?v=${videoId}` : url || null,
+            author: data.channel || null,
+            site_name: 'YouTube',
+            published: data.publishDate || null,
+            duration: data.duration || null,
+            description: data.description ? data.description.split('\n')[0].slice(0, 300) : null,
+            image: videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : null,
+            captured: new Date().toISOString()
+        };
+    },
+
     /**
      * Parse transcript data from YouTube's internal format
      * @param {Array} segments - Transcript segments
@@ -89,6 +254,121 @@ const YouTubeConverter = {
             .join(' ')
             .replace(/\s+/g, ' ')
             .trim();
+    },
+
+    /**
+     * Render transcript segments
+     * @param {Array<{start: number, duration: number, text: string}>} segments - Segments in seconds
+     * @param {Object} options - Formatting options
+     * @param {string} options.format - 'plain', 'timestamped', 'srt' or 'vtt'
+     * @param {string} options.videoId - Video ID for timestamp deep links
+     * @param {number} options.paragraphSeconds - Target paragraph length for timestamped output
+     * @returns {string} Markdown
+     */
+    formatTranscript(segments, options = {}) {
+        const { format = 'timestamped', videoId = null, paragraphSeconds = 45 } = options;
+
+        switch (format) {
+            case 'plain':
+                return this.parseTranscript(segments);
+
+            case 'srt':
+                return '```srt\n' + segments.map((seg, i) =>
+                    `${i + 1}\n${this.formatCueTime(seg.start, ',')} --> ${this.formatCueTime(this.getSegmentEnd(segments, i), ',')}\n${seg.text}\n`
+                ).join('\n') + '```';
+
+            case 'vtt':
+                return '```vtt\nWEBVTT\n\n' + segments.map((seg, i) =>
+                    `${this.formatCueTime(seg.start, '.')} --> ${this.formatCueTime(this.getSegmentEnd(segments, i), '.')}\n${seg.text}\n`
+                ).join('\n') + '```';
+
+            default:
+                return this.groupIntoParagraphs(segments, paragraphSeconds)
+                    .map(paragraph => {
+                        const start = Math.floor(paragraph[0].start);
+                        const label = this.formatTimestamp(start);
+                        const stamp = videoId ? `[${label}](https://youtu.be/${videoId}?t=${start})` : `[${label}]`;
+                        return `${stamp} ${this.parseTranscript(paragraph)}`;
+                    })
+                    .join('\n\n');
+        }
+    },
+
+    /**
+     * Group segments into paragraphs, breaking at sentence ends once a paragraph is long enough
+     * @param {Array} segments - Transcript segments
+     * @param {number} paragraphSeconds - Target paragraph length in seconds
+     * @returns {Array<Array>} Paragraphs of segments
+     */
+    groupIntoParagraphs(segments, paragraphSeconds) {
+        const paragraphs = [];
+        let current = [];
+
+        for (const seg of segments) {
+            current.push(seg);
+
+            const elapsed = seg.start + (seg.duration || 0) - current[0].start;
+            const endsSentence = /[.!?。！？]["')\]]?$/.test(seg.text);
+            // Auto-generated captions have no punctuation, so force a break at twice the target
+            if ((elapsed >= paragraphSeconds && endsSentence) || elapsed >= paragraphSeconds * 2) {
+                paragraphs.push(current);
+                current = [];
+            }
+        }
+
+        if (current.length > 0) paragraphs.push(current);
+        return paragraphs;
+    },
+
+    /**
+     * End time of a segment, clamped so cues never overlap the next one
+     * @param {Array} segments - Transcript segments
+     * @param {number} index - Segment index
+     * @returns {number} End time in seconds
+     */
+    getSegmentEnd(segments, index) {
+        const seg = segments[index];
+        const end = seg.start + (seg.duration || 0);
+        const next = segments[index + 1];
+        return next && (end > next.start || !seg.duration) ? next.start : end;
+    },
+
+    /**
+     * Format seconds as mm:ss or h:mm:ss
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatTimestamp(seconds) {
+        const total = Math.floor(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${String(m).padStart(2, '0')}:${s}`;
+    },
+
+    /**
+     * Format seconds as an SRT/VTT cue time (hh:mm:ss,mmm or hh:mm:ss.mmm)
+     * @param {number} seconds
+     * @param {string} separator - ',' for SRT, '.' for VTT
+     * @returns {string}
+     */
+    formatCueTime(seconds, separator) {
+        const ms = Math.round(seconds * 1000);
+        const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+        const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+        const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+        return `${h}:${m}:${s}${separator}${String(ms % 1000).padStart(3, '0')}`;
+    },
+
+    /**
+     * Describe the caption track a transcript came from
+     * @param {Object} track - Track info from the content script
+     * @returns {string}
+     */
+    describeTrack(track) {
+        let description = `Captions: ${track.name} (${track.kind})`;
+        if (track.translatedTo) description += `, translated to ${track.translatedTo}`;
+        return description;
     }
 };
 
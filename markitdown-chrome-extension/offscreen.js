@@ -0,0 +1,103 @@
+/**
+ * Offscreen Document Script
+ * Runs the DOM-based converters, crawls and clipboard writes for the service worker,
+ * which has neither a DOMParser nor clipboard access
+ */
+
+// Crawl in progress (only one runs at a time)
+let activeCrawl = null;
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== 'offscreen') return;
+
+    handleOffscreenRequest(request)
+        .then(data => sendResponse({ success: true, data }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep channel open for async response
+});
+
+/**
+ * Run a conversion requested by the service worker
+ * @param {Object} request - Message from background.js
+ * @returns {Promise<*>} Result data
+ */
+async function handleOffscreenRequest(request) {
+    switch (request.action) {
+        case 'convertSelection':
+            return HtmlConverter.convert(request.html, { ...(await Settings.load()), url: request.url });
+
+        case 'convertPage':
+            return HtmlConverter.convertPage(request.page, await Settings.load());
+
+        case 'copyToClipboard':
+            return copyText(request.text);
+
+        case 'startCrawl':
+            return startCrawl(request.url);
+
+        case 'revokeObjectUrl':
+            URL.revokeObjectURL(request.objectUrl);
+            return true;
+
+        default:
+            throw new Error(`Unknown offscreen action: ${request.action}`);
+    }
+}
+
+/**
+ * Start crawling from a page without waiting for it to finish
+ * A crawl can take minutes, so progress and the finished ZIP are reported to the
+ * service worker with crawlProgress, crawlFinished and crawlFailed messages
+ * @param {string} url - Start page
+ * @returns {Promise<boolean>} True once the crawl has started
+ */
+async function startCrawl(url) {
+    if (activeCrawl) throw new Error('A crawl is already running');
+
+    const settings = await Settings.load();
+    const options = {
+        maxDepth: settings.crawlMaxDepth,
+        maxPages: settings.crawlMaxPages,
+        delayMs: settings.crawlDelayMs,
+        linkSelector: settings.crawlLinkSelector,
+        // Describing every image on every page would make crawls slow and costly
+        settings: { ...settings, includeAIDescription: false }
+    };
+    const notify = message => chrome.runtime.sendMessage(message).catch(() => {
+        // Service worker not listening
+    });
+
+    activeCrawl = Crawler.crawl(url, options, progress => notify({ action: 'crawlProgress', ...progress }))
+        .then(result => notify({
+            action: 'crawlFinished',
+            url,
+            objectUrl: URL.createObjectURL(Zip.create(result.files)),
+            pages: result.pages.length,
+            skipped: result.skipped.length,
+            failures: result.failures.length
+        }))
+        .catch(error => notify({ action: 'crawlFailed', url, error: error.message }))
+        .finally(() => {
+            activeCrawl = null;
+        });
+    return true;
+}
+
+/**
+ * Copy text to the clipboard
+ * navigator.clipboard needs a focused document, which an offscreen document never is
+ * @param {string} text - Text to copy
+ * @returns {boolean} True on success
+ */
+function copyText(text) {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    const copied = document.execCommand('copy');
+    textarea.remove();
+
+    if (!copied) throw new Error('Clipboard write was rejected');
+    return true;
+}
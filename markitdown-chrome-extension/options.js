@@ -0,0 +1,357 @@
+/**
+ * Options Page Script
+ * Loads settings into the form and saves every change back to storage
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const fields = document.querySelectorAll('input[name], select[name]');
+    const providerSelect = document.getElementById('provider');
+    const baseUrlInput = document.getElementById('baseUrl');
+    const apiKeyInput = document.getElementById('apiKey');
+    const modelInput = document.getElementById('model');
+    const modelLabel = document.getElementById('modelLabel');
+    const tokenParameterSelect = document.getElementById('tokenParameter');
+    const azureApiVersionField = document.getElementById('azureApiVersionField');
+    const toggleKeyBtn = document.getElementById('toggleKey');
+    const testConnectionBtn = document.getElementById('testConnection');
+    const keyStatus = document.getElementById('keyStatus');
+    const siteRulesList = document.getElementById('siteRules');
+    const addSiteRuleBtn = document.getElementById('addSiteRuleBtn');
+    const importSiteRulesBtn = document.getElementById('importSiteRulesBtn');
+    const exportSiteRulesBtn = document.getElementById('exportSiteRulesBtn');
+    const siteRulesFile = document.getElementById('siteRulesFile');
+    const resetBtn = document.getElementById('resetBtn');
+    const status = document.getElementById('status');
+
+    let statusTimer = null;
+
+    /**
+     * Show status message
+     */
+    function showStatus(message, type = 'success') {
+        status.textContent = message;
+        status.className = 'status ' + type;
+
+        clearTimeout(statusTimer);
+        statusTimer = setTimeout(() => {
+            status.textContent = '';
+            status.className = 'status';
+        }, 2000);
+    }
+
+    /**
+     * Show connection/permission message below the provider fields
+     */
+    function showKeyStatus(message, type = '') {
+        keyStatus.textContent = message;
+        keyStatus.className = 'hint ' + type;
+    }
+
+    /**
+     * Read a form field into its settings value
+     * Fields marked with data-unit="seconds" are stored in milliseconds
+     */
+    function readField(input) {
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'number') {
+            const value = Number(input.value);
+            if (input.value === '' || !Number.isFinite(value) || value < Number(input.min || 0)) return undefined;
+            return input.dataset.unit === 'seconds' ? Math.round(value * 1000) : value;
+        }
+        return input.value.trim();
+    }
+
+    /**
+     * Write a settings value into its form field
+     */
+    function writeField(input, value) {
+        if (input.type === 'checkbox') {
+            input.checked = !!value;
+        } else if (input.type === 'number' && input.dataset.unit === 'seconds') {
+            input.value = value / 1000;
+        } else {
+            input.value = value ?? '';
+        }
+    }
+
+    /**
+     * Update provider-specific labels, placeholders and choices
+     */
+    function updateProviderFields(providerId) {
+        const provider = LLMProviders.get(providerId);
+
+        baseUrlInput.placeholder = provider.defaultBaseUrl;
+        apiKeyInput.placeholder = provider.requiresApiKey ? 'Required' : 'Optional';
+        modelLabel.textContent = providerId === 'azure' ? 'Deployment name' : 'Model';
+        modelInput.placeholder = provider.defaultModel;
+        azureApiVersionField.hidden = providerId !== 'azure';
+
+        const selected = tokenParameterSelect.value;
+        tokenParameterSelect.innerHTML = '';
+        tokenParameterSelect.add(new Option('Automatic', 'auto'));
+        provider.tokenParameters.forEach(name => tokenParameterSelect.add(new Option(name, name)));
+        tokenParameterSelect.value = provider.tokenParameters.includes(selected) ? selected : 'auto';
+    }
+
+    /**
+     * Fill the form from a settings object
+     */
+    function populate(settings) {
+        updateProviderFields(settings.provider);
+        fields.forEach(input => {
+            if (input.name in settings) writeField(input, settings[input.name]);
+        });
+        renderSiteRules(settings.siteRules || []);
+        checkHostPermission(settings);
+    }
+
+    /**
+     * Show the site rules for editing
+     * Skipped when the form already shows them, so saving a rule does not rebuild the row being edited
+     */
+    function renderSiteRules(rules) {
+        const normalized = rules.map(rule => SiteRules.normalize(rule)).filter(Boolean);
+        if (JSON.stringify(normalized) === JSON.stringify(readSiteRules())) return;
+        siteRulesList.replaceChildren(...normalized.map(createSiteRuleRow));
+    }
+
+    /**
+     * Editable row for one site rule
+     */
+    function createSiteRuleRow(rule = SiteRules.DEFAULTS) {
+        const row = document.createElement('div');
+        row.className = 'site-rule';
+
+        const textField = (field, label, placeholder) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'field';
+            const caption = document.createElement('label');
+            caption.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.dataset.field = field;
+            input.placeholder = placeholder;
+            input.value = rule[field];
+            caption.appendChild(input);
+            wrapper.appendChild(caption);
+            return wrapper;
+        };
+        const toggle = (field, label) => {
+            const caption = document.createElement('label');
+            caption.className = 'toggle';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.dataset.field = field;
+            input.checked = rule[field];
+            caption.append(input, label);
+            return caption;
+        };
+
+        const options = document.createElement('div');
+        options.className = 'field-row';
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'btn btn-secondary';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+            row.remove();
+            saveSiteRules();
+        });
+        options.append(toggle('keepImages', 'Images'), toggle('keepIframes', 'Embeds (iframes)'), toggle('keepComments', 'Comments'), deleteBtn);
+
+        row.append(
+            textField('pattern', 'Domain or URL pattern', 'wiki.example.com or docs.example.com/api/*'),
+            textField('contentSelector', 'Content root (empty = automatic)', 'main .article-body'),
+            textField('removeSelectors', 'Also remove', '.toc, .edit-link, .feedback'),
+            options
+        );
+        return row;
+    }
+
+    /**
+     * Rules as currently entered (rows without a pattern are left out)
+     */
+    function readSiteRules() {
+        return Array.from(siteRulesList.querySelectorAll('.site-rule')).map(row => {
+            const rule = {};
+            row.querySelectorAll('[data-field]').forEach(input => {
+                rule[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+            });
+            return SiteRules.normalize(rule);
+        }).filter(Boolean);
+    }
+
+    /**
+     * Check that a CSS selector list parses
+     */
+    function isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Save the site rules from the form
+     */
+    async function saveSiteRules() {
+        const rules = readSiteRules();
+        for (const rule of rules) {
+            const invalid = [rule.contentSelector, rule.removeSelectors].find(selector => selector && !isValidSelector(selector));
+            if (invalid) {
+                showStatus(`"${invalid}" is not a valid CSS selector (rule for ${rule.pattern})`, 'error');
+                return;
+            }
+        }
+
+        await Settings.save({ siteRules: rules });
+        showStatus('Site rules saved');
+    }
+
+    /**
+     * Merge rules from an exported JSON file into the stored ones
+     */
+    async function importSiteRules(file) {
+        try {
+            const imported = SiteRules.parseImport(await file.text());
+            const settings = await Settings.load();
+            await Settings.save({ siteRules: SiteRules.merge(settings.siteRules, imported) });
+            showStatus(`Imported ${imported.length} site rule${imported.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            showStatus('Import failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Download the stored rules as JSON
+     */
+    async function exportSiteRules() {
+        const settings = await Settings.load();
+        const url = URL.createObjectURL(new Blob([SiteRules.serialize(settings.siteRules)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'markitdown-site-rules.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Warn when the extension has not been granted access to the configured endpoint
+     */
+    async function checkHostPermission(settings) {
+        const origin = LLMProviders.getOriginPattern(settings);
+        if (!origin) {
+            showKeyStatus('✗ The API base URL is not a valid URL', 'error');
+            return false;
+        }
+
+        const granted = await chrome.permissions.contains({ origins: [origin] });
+        if (!granted) {
+            showKeyStatus(`Access to ${origin} has not been granted yet. Click "Test connection" to allow it.`, 'warning');
+        }
+        return granted;
+    }
+
+    /**
+     * Save a single field
+     */
+    async function saveField(input) {
+        const value = readField(input);
+        if (value === undefined) {
+            showStatus(`Please enter a number of at least ${input.min || 0}`, 'error');
+            return;
+        }
+
+        const changes = { [input.name]: value };
+
+        // Switching provider resets the endpoint and model to that provider's defaults
+        if (input === providerSelect) {
+            const provider = LLMProviders.get(value);
+            Object.assign(changes, {
+                baseUrl: '',
+                model: provider.defaultModel,
+                authScheme: 'auto',
+                tokenParameter: 'auto'
+            });
+        }
+
+        const settings = await Settings.save(changes);
+        showStatus('Settings saved');
+
+        if (input === providerSelect || input === baseUrlInput || input === apiKeyInput) {
+            showKeyStatus('');
+            checkHostPermission(settings);
+        }
+    }
+
+    /**
+     * Request access to the configured endpoint, then call it
+     * Host permissions are optional so each endpoint must be granted from a user gesture
+     */
+    async function testConnection() {
+        const settings = await Settings.load();
+        const origin = LLMProviders.getOriginPattern(settings);
+        if (!origin) {
+            showKeyStatus('✗ The API base URL is not a valid URL', 'error');
+            return;
+        }
+
+        testConnectionBtn.disabled = true;
+
+        try {
+            const granted = await chrome.permissions.request({ origins: [origin] });
+            if (!granted) {
+                showKeyStatus(`✗ Access to ${origin} was denied`, 'error');
+                return;
+            }
+
+            showKeyStatus('Checking...');
+            const result = await LLMProviders.testConnection(settings);
+            showKeyStatus((result.valid ? '✓ ' : '✗ ') + result.message, result.valid ? 'success' : 'error');
+        } finally {
+            testConnectionBtn.disabled = false;
+        }
+    }
+
+    // Provider choices
+    Object.entries(LLMProviders.PROVIDERS).forEach(([id, provider]) => {
+        providerSelect.add(new Option(provider.label, id));
+    });
+
+    // Event listeners
+    fields.forEach(input => {
+        input.addEventListener('change', () => saveField(input));
+    });
+
+    toggleKeyBtn.addEventListener('click', () => {
+        apiKeyInput.type = apiKeyInput.type === 'password' ? 'text' : 'password';
+    });
+
+    testConnectionBtn.addEventListener('click', testConnection);
+
+    siteRulesList.addEventListener('change', saveSiteRules);
+    addSiteRuleBtn.addEventListener('click', () => {
+        const row = createSiteRuleRow();
+        siteRulesList.appendChild(row);
+        row.querySelector('input').focus();
+    });
+    importSiteRulesBtn.addEventListener('click', () => siteRulesFile.click());
+    siteRulesFile.addEventListener('change', () => {
+        if (siteRulesFile.files[0]) importSiteRules(siteRulesFile.files[0]);
+        siteRulesFile.value = '';
+    });
+    exportSiteRulesBtn.addEventListener('click', exportSiteRules);
+
+    resetBtn.addEventListener('click', async () => {
+        if (!confirm('Restore all settings to their defaults? Your API key will be removed.')) return;
+        populate(await Settings.reset());
+        showStatus('Defaults restored');
+    });
+
+    // Keep the form in sync if settings change in another tab
+    Settings.onChanged(populate);
+
+    populate(await Settings.load());
+});
@@ -0,0 +1,314 @@
+/**
+ * Element Picker
+ * Injected into a tab from the popup or the keyboard shortcut. Highlights the element
+ * under the mouse, lets the user pick one or more blocks and sends the page to the
+ * service worker with the picked elements marked for conversion
+ */
+
+(() => {
+    // Injecting the picker again while it is open closes it
+    if (window.markitdownPicker) {
+        window.markitdownPicker.stop();
+        return;
+    }
+
+    // Marks the picked elements in the HTML sent for conversion
+    const PICKED_ATTRIBUTE = 'data-markitdown-picked';
+
+    // Classes that describe state rather than the element (is-active, hover...) or look generated
+    const UNSTABLE_CLASS = /^(is-|has-|js-)|active|hover|focus|selected|open|visible|hidden|\d{3,}|^[a-z]{1,3}-[a-z0-9]{5,}$/i;
+
+    const picked = [];
+    let current = null;
+    let childTrail = [];   // Elements left with ArrowUp, revisited with ArrowDown
+    let frame = null;
+
+    const host = document.createElement('markitdown-picker');
+    host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;';
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+        <style>
+            .box { position: fixed; box-sizing: border-box; pointer-events: none; border-radius: 2px; }
+            .hover { border: 2px solid #e94560; background: rgba(233, 69, 96, 0.12); }
+            .picked { border: 2px solid #4ecca3; background: rgba(78, 204, 163, 0.18); }
+            .bar {
+                position: fixed; left: 50%; bottom: 16px; transform: translateX(-50%);
+                display: flex; flex-wrap: wrap; align-items: center; gap: 8px 12px;
+                max-width: calc(100vw - 32px); padding: 10px 14px; pointer-events: auto;
+                font: 13px/1.4 'Segoe UI', -apple-system, BlinkMacSystemFont, sans-serif;
+                color: #eaeaea; background: #1a1a2e; border: 1px solid #0f3460; border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+            }
+            .selector { font-family: monospace; color: #e94560; max-width: 320px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+            .count { color: #4ecca3; }
+            label { display: flex; align-items: center; gap: 4px; cursor: pointer; }
+            button { font: inherit; padding: 4px 12px; border: none; border-radius: 6px; cursor: pointer; color: #fff; background: #0f3460; }
+            button.primary { background: #e94560; }
+            .help { flex-basis: 100%; font-size: 11px; color: #a0a0a0; }
+            .warning { flex-basis: 100%; font-size: 11px; color: #f0c36d; }
+        </style>
+        <div class="box hover" hidden></div>
+        <div class="picked-boxes"></div>
+        <div class="bar">
+            <span class="selector">Hover an element</span>
+            <span class="count">0 picked</span>
+            <label><input type="checkbox" class="remember"> Remember for ${location.hostname}</label>
+            <button type="button" class="primary" data-action="convert">Convert</button>
+            <button type="button" data-action="cancel">Cancel</button>
+            <div class="warning" hidden></div>
+            <div class="help">Click or Space: pick / unpick · ↑ parent · ↓ child · ← → siblings · Enter: convert · Esc: cancel</div>
+        </div>
+    `;
+
+    const hoverBox = root.querySelector('.hover');
+    const pickedBoxes = root.querySelector('.picked-boxes');
+    const selectorLabel = root.querySelector('.selector');
+    const countLabel = root.querySelector('.count');
+    const rememberCheckbox = root.querySelector('.remember');
+    const rememberWarning = root.querySelector('.warning');
+
+    /**
+     * Whether an event came from the picker's own toolbar
+     */
+    function isOwnEvent(event) {
+        return event.composedPath().includes(host);
+    }
+
+    /**
+     * Move the highlight to an element
+     */
+    function setCurrent(element, keepTrail = false) {
+        if (!element || element === current || element === document.documentElement) return;
+        current = element;
+        if (!keepTrail) childTrail = [];
+        selectorLabel.textContent = getSelector(element);
+        render();
+    }
+
+    /**
+     * Pick or unpick the highlighted element
+     */
+    function togglePicked() {
+        if (!current) return;
+        const index = picked.indexOf(current);
+        if (index === -1) picked.push(current);
+        else picked.splice(index, 1);
+        countLabel.textContent = `${picked.length} picked`;
+        updateRememberWarning();
+        render();
+    }
+
+    /**
+     * Draw the highlight and picked boxes on the next frame (also after scrolling)
+     */
+    function render() {
+        cancelAnimationFrame(frame);
+        frame = requestAnimationFrame(() => {
+            place(hoverBox, current);
+            pickedBoxes.replaceChildren(...picked.map(element => {
+                const box = document.createElement('div');
+                box.className = 'box picked';
+                place(box, element);
+                return box;
+            }));
+        });
+    }
+
+    /**
+     * Position a box over an element
+     */
+    function place(box, element) {
+        if (!element) {
+            box.hidden = true;
+            return;
+        }
+        const rect = element.getBoundingClientRect();
+        Object.assign(box.style, {
+            top: `${rect.top}px`,
+            left: `${rect.left}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+        box.hidden = false;
+    }
+
+    /**
+     * Selectors to save for the site, or null when a picked element can only be told apart
+     * by its position (nth-of-type), which rarely matches the same block on other pages
+     */
+    function getRememberSelector() {
+        const selectors = getPickedElements().map(element => getSelector(element, false));
+        return selectors.length > 0 && selectors.every(Boolean) ? selectors.join(', ') : null;
+    }
+
+    /**
+     * Explain why "Remember" will not save anything for the current picks
+     */
+    function updateRememberWarning() {
+        const positional = rememberCheckbox.checked && picked.length > 0 && !getRememberSelector();
+        rememberWarning.textContent = positional
+            ? 'These elements can only be found by their position on this page, so they will be converted but not remembered. Try picking an enclosing block.'
+            : '';
+        rememberWarning.hidden = !positional;
+    }
+
+    /**
+     * Picked elements without those inside another picked element, in document order
+     */
+    function getPickedElements() {
+        return picked
+            .filter(element => !picked.some(other => other !== element && other.contains(element)))
+            .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    }
+
+    /**
+     * CSS selector matching only this element, preferring ids and meaningful classes
+     * over positions so it still matches on other pages of the site
+     * @param {boolean} allowPositions - Fall back to :nth-of-type (otherwise null when no other selector is unique)
+     */
+    function getSelector(element, allowPositions = true) {
+        let selector = '';
+        let combinator = ' > ';   // Becomes a descendant combinator after a level is skipped
+        for (let node = element; node && node !== document.documentElement; node = node.parentElement) {
+            let part = describeElement(node);
+            const candidate = selector ? part + combinator + selector : part;
+            if (matchesOnly(candidate, element)) return candidate;
+
+            // Ids are unique already; otherwise tell same-type siblings apart by position
+            const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName) : [];
+            if (!part.startsWith('#') && siblings.length > 1) {
+                if (!allowPositions) {
+                    // Leave this level out; a distinctive ancestor may still single the element out
+                    if (!selector) {
+                        selector = part;
+                    }
+                    combinator = ' ';
+                    continue;
+                }
+                part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            }
+
+            selector = selector ? part + combinator + selector : part;
+            combinator = ' > ';
+            if (matchesOnly(selector, element)) return selector;
+        }
+        return allowPositions ? selector : null;
+    }
+
+    /**
+     * Id, or tag name with up to two stable classes
+     */
+    function describeElement(element) {
+        if (element.id && !/\d{3,}|^\d|:/.test(element.id)) return `#${CSS.escape(element.id)}`;
+
+        const classes = Array.from(element.classList)
+            .filter(name => !UNSTABLE_CLASS.test(name))
+            .slice(0, 2)
+            .map(name => `.${CSS.escape(name)}`);
+        return element.tagName.toLowerCase() + classes.join('');
+    }
+
+    /**
+     * Whether a selector matches exactly one element, the given one
+     */
+    function matchesOnly(selector, element) {
+        try {
+            const matches = document.querySelectorAll(selector);
+            return matches.length === 1 && matches[0] === element;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Send the page with the picked elements marked to the service worker
+     * Elements inside another picked element are dropped, the rest are kept in document order
+     */
+    function finish() {
+        if (picked.length === 0 && current) picked.push(current);
+        if (picked.length === 0) return;
+
+        const elements = getPickedElements();
+        const rememberSelector = rememberCheckbox.checked ? getRememberSelector() : null;
+        stop();
+
+        elements.forEach(element => element.setAttribute(PICKED_ATTRIBUTE, ''));
+        const html = document.documentElement.outerHTML;
+        elements.forEach(element => element.removeAttribute(PICKED_ATTRIBUTE));
+
+        chrome.runtime.sendMessage({
+            action: 'pickerFinished',
+            page: { html, url: location.href, title: document.title, selector: `[${PICKED_ATTRIBUTE}]` },
+            rememberSelector
+        });
+    }
+
+    function onMouseMove(event) {
+        if (!isOwnEvent(event)) setCurrent(event.target);
+    }
+
+    function onClick(event) {
+        if (isOwnEvent(event)) {
+            // Toolbar buttons act on a completed click, not on mousedown or a drag that starts there
+            if (event.type !== 'click') return;
+            const action = event.composedPath().find(node => node.dataset && node.dataset.action);
+            if (action && action.dataset.action === 'convert') finish();
+            if (action && action.dataset.action === 'cancel') stop();
+            return;
+        }
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        if (event.type === 'click') {
+            setCurrent(event.target);
+            togglePicked();
+        }
+    }
+
+    function onKeyDown(event) {
+        if (isOwnEvent(event) && event.key !== 'Escape') return;
+
+        const keys = {
+            ArrowUp: () => {
+                if (current && current.parentElement && current.parentElement !== document.documentElement) {
+                    const trail = [...childTrail, current];
+                    setCurrent(current.parentElement);
+                    childTrail = trail;
+                }
+            },
+            ArrowDown: () => current && setCurrent(childTrail.pop() || current.firstElementChild, true),
+            ArrowLeft: () => current && setCurrent(current.previousElementSibling),
+            ArrowRight: () => current && setCurrent(current.nextElementSibling),
+            ' ': togglePicked,
+            Enter: finish,
+            Escape: stop
+        };
+        if (!keys[event.key]) return;
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        keys[event.key]();
+    }
+
+    /**
+     * Remove the picker and its listeners
+     */
+    function stop() {
+        cancelAnimationFrame(frame);
+        host.remove();
+        document.removeEventListener('mousemove', onMouseMove, true);
+        ['click', 'mousedown', 'mouseup'].forEach(type => document.removeEventListener(type, onClick, true));
+        document.removeEventListener('keydown', onKeyDown, true);
+        window.removeEventListener('scroll', render, true);
+        window.removeEventListener('resize', render);
+        delete window.markitdownPicker;
+    }
+
+    document.documentElement.appendChild(host);
+    document.addEventListener('mousemove', onMouseMove, true);
+    ['click', 'mousedown', 'mouseup'].forEach(type => document.addEventListener(type, onClick, true));
+    document.addEventListener('keydown', onKeyDown, true);
+    rememberCheckbox.addEventListener('change', updateRememberWarning);
+    window.addEventListener('scroll', render, true);
+    window.addEventListener('resize', render);
+    window.markitdownPicker = { stop };
+})();
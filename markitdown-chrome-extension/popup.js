@@ -6,9 +6,57 @@
 document.addEventListener('DOMContentLoaded', () => {
     const convertPageBtn = document.getElementById('convertPage');
     const convertSelectionBtn = document.getElementById('convertSelection');
+    const pickElementsBtn = document.getElementById('pickElements');
     const copyBtn = document.getElementById('copyBtn');
+    const saveBtn = document.getElementById('saveBtn');
+    const exportBundleBtn = document.getElementById('exportBundleBtn');
+    const optionsBtn = document.getElementById('optionsBtn');
     const output = document.getElementById('output');
     const status = document.getElementById('status');
+    const captionOptions = document.getElementById('captionOptions');
+    const captionTrackSelect = document.getElementById('captionTrack');
+    const captionTranslateSelect = document.getElementById('captionTranslate');
+    const tabs = document.querySelectorAll('.tab');
+    const historySearch = document.getElementById('historySearch');
+    const historyList = document.getElementById('historyList');
+    const historyEmpty = document.getElementById('historyEmpty');
+    const exportHistoryBtn = document.getElementById('exportHistoryBtn');
+    const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+    const dropZone = document.getElementById('dropZone');
+    const fileInput = document.getElementById('fileInput');
+    const pasteInput = document.getElementById('pasteInput');
+    const convertPasteBtn = document.getElementById('convertPasteBtn');
+    const batchPanel = document.getElementById('batchPanel');
+    const batchSelectAll = document.getElementById('batchSelectAll');
+    const batchOutputSelect = document.getElementById('batchOutput');
+    const batchTabList = document.getElementById('batchTabList');
+    const convertTabsBtn = document.getElementById('convertTabsBtn');
+
+    // Tabs listed in the batch panel
+    let batchTabs = [];
+
+    // Title and URL of the conversion shown in the output (used to name exports)
+    let outputDetails = {};
+
+    // Current settings, kept in sync with the options page
+    // Buttons that convert or save stay disabled until the saved settings are in
+    let settings = { ...Settings.DEFAULTS };
+    let settingsLoaded = false;
+    const settingsControls = [
+        convertPageBtn, convertSelectionBtn, pickElementsBtn, convertPasteBtn, fileInput,
+        saveBtn, exportBundleBtn, exportHistoryBtn
+    ];
+    settingsControls.forEach(control => { control.disabled = true; });
+    Settings.load().then(loaded => {
+        settings = loaded;
+        settingsLoaded = true;
+        settingsControls.forEach(control => { control.disabled = false; });
+        updateBatchSelection();
+    });
+    Settings.onChanged(updated => {
+        settings = updated;
+        showStatus('Settings updated', 'success');
+    });
 
     /**
      * Show status message
@@ -26,6 +74,30 @@ document.addEventListener('DOMContentLoaded', () => {
         status.className = 'status';
     }
 
+    /**
+     * Show conversion output and record it in the history
+     */
+    function setOutput(markdown, details) {
+        output.value = markdown;
+        outputDetails = details;
+        writeHistory('add', { conversion: { markdown, ...details } })
+            .catch(error => console.error('Failed to save history entry:', error));
+    }
+
+    /**
+     * Change the history through the service worker, which orders the writes of every extension page
+     * @param {string} operation - 'add', 'remove' or 'clear'
+     * @param {Object} details - { conversion } for 'add', { id } for 'remove'
+     * @returns {Promise<Object|null>} Stored entry for 'add'
+     */
+    async function writeHistory(operation, details = {}) {
+        const response = await chrome.runtime.sendMessage({ action: 'writeHistory', operation, ...details });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to update history');
+        }
+        return response.entry;
+    }
+
     /**
      * Get current tab
      */
@@ -43,69 +115,393 @@ document.addEventListener('DOMContentLoaded', () => {
             convertPageBtn.disabled = true;
 
             const tab = await getCurrentTab();
+            await requestImageHostAccess(tab);
+            const result = await convertTab(tab, {
+                captions: {
+                    trackIndex: Number(captionTrackSelect.value),
+                    translateTo: captionTranslateSelect.value
+                },
+                onStatus: showStatus
+            });
+            setOutput(result.markdown, { title: result.title, url: result.url, source: result.source });
 
-            // Check if it's a YouTube page
-            if (YouTubeConverter.isYouTubeVideo(tab.url)) {
-                const response = await chrome.tabs.sendMessage(tab.id, { action: 'getYouTubeData' });
-                if (response && response.success) {
-                    output.value = YouTubeConverter.convert(response.data);
-                    showStatus('YouTube video converted!', 'success');
-                } else {
-                    throw new Error(response?.error || 'Failed to get YouTube data');
-                }
+            if (result.source === 'youtube') {
+                showStatus('YouTube video converted!', 'success');
+            } else if (result.source === 'data') {
+                showStatus(`${result.dataType.toUpperCase()} document converted!`, 'success');
             } else {
-                // Regular page - get HTML content
-                const [result] = await chrome.scripting.executeScript({
+                const extraction = HtmlConverter.lastExtraction;
+                const pages = result.pageCount > 1 ? ` (${result.pageCount} pages)` : '';
+                showStatus(extraction ? `Page converted${pages}! Content from ${extraction.label}` : `Page converted${pages}!`, 'success');
+            }
+        } catch (error) {
+            console.error('Conversion error:', error);
+            showStatus('Error: ' + error.message, 'error');
+        } finally {
+            convertPageBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Ask for access to the hosts of a tab's images when the provider downloads them itself
+     * (Ollama); without it most cross-origin images fail under CORS and get no description
+     * Called first thing after the click, while the request still counts as a user gesture
+     */
+    async function requestImageHostAccess(tab) {
+        if (!/^https?:/.test(tab.url) || !LLMProviders.fetchesImages(settings)) return;
+
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => Array.from(document.images, img => img.currentSrc || img.src)
+        }).catch(() => []);
+
+        const origins = new Set();
+        (result?.result || []).forEach(src => {
+            if (/^https?:/.test(src)) origins.add(`${new URL(src).origin}/*`);
+        });
+        if (origins.size === 0) return;
+
+        const granted = await chrome.permissions.request({ origins: Array.from(origins) }).catch(() => false);
+        if (!granted) console.warn('MarkItDown: Image host access not granted, only CORS-enabled images can be described');
+    }
+
+    /**
+     * Convert a tab with the YouTube, raw data or HTML pipeline
+     * @param {chrome.tabs.Tab} tab - Tab to convert
+     * @param {Object} options - Conversion options
+     * @param {Object} options.captions - Caption track choice for YouTube videos ({trackIndex, translateTo})
+     * @param {Object} options.settings - Settings to convert with (defaults to the current settings)
+     * @param {Function} options.onStatus - Called with progress messages
+     * @returns {Promise<{markdown: string, title: string, url: string, source: string, dataType: string|null, pageCount: number}>}
+     */
+    async function convertTab(tab, options = {}) {
+        const { captions = {}, settings: conversionSettings = settings, onStatus = () => {} } = options;
+
+        // Check if it's a YouTube page
+        if (YouTubeConverter.isYouTubeVideo(tab.url)) {
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                action: 'getYouTubeData',
+                options: {
+                    trackIndex: captions.trackIndex ?? -1,
+                    translateTo: captions.translateTo || '',
+                    preferredLanguage: conversionSettings.captionLanguage,
+                    preferManual: conversionSettings.preferManualCaptions
+                }
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to get YouTube data');
+            }
+
+            const markdown = YouTubeConverter.convert(response.data, {
+                headerStyle: conversionSettings.headerStyle,
+                transcriptFormat: conversionSettings.transcriptFormat,
+                url: tab.url
+            });
+            return { markdown, title: response.data.title || tab.title, url: tab.url, source: 'youtube', dataType: null, pageCount: 1 };
+        }
+
+        // Regular page - get HTML content
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => {
+                // Raw data documents: XML trees, or the single <pre> of the plain-text/JSON viewer
+                let rawText = null;
+                if (!(document instanceof HTMLDocument)) {
+                    rawText = new XMLSerializer().serializeToString(document);
+                } else if (document.body) {
+                    const pre = document.body.querySelector(':scope > pre');
+                    const others = Array.from(document.body.children)
+                        .filter(el => el !== pre && !el.matches('.json-formatter-container'));
+                    if (pre && others.length === 0) rawText = pre.textContent;
+                }
+
+                return {
+                    html: document.documentElement.outerHTML,
+                    title: document.title,
+                    url: window.location.href,
+                    contentType: document.contentType,
+                    rawText
+                };
+            }
+        });
+        if (!result || !result.result) throw new Error('Could not access page content');
+
+        const page = result.result;
+        const dataType = getRawDataType(page);
+        if (dataType) {
+            const filename = new URL(page.url).pathname.split('/').pop();
+            return {
+                markdown: DataConverter.convert(page.rawText, dataType, getDataOptions(new URL(page.url).pathname, page.contentType)),
+                title: page.title || filename || page.url,
+                url: page.url,
+                source: 'data',
+                dataType,
+                pageCount: 1
+            };
+        }
+
+        if (conversionSettings.stitchPagination) {
+            page.nextPages = await fetchNextPages(tab, page, conversionSettings.paginationMaxPages, onStatus);
+        }
+
+        onStatus('Processing images with AI...', 'loading');
+        console.log('MarkItDown Popup: Starting conversion with LLM processing');
+        const markdown = await HtmlConverter.convertPage(page, conversionSettings);
+        console.log('MarkItDown Popup: Conversion completed');
+        return {
+            markdown,
+            title: page.title,
+            url: page.url,
+            source: 'page',
+            dataType: null,
+            pageCount: 1 + (page.nextPages || []).length
+        };
+    }
+
+    /**
+     * Fetch the pages following a paginated article
+     * Requests run inside the tab so they carry the site's cookies and need no host permission.
+     * Stops at the page limit, at the last page, on a failed request or when a link leads back
+     * @param {chrome.tabs.Tab} tab - Tab showing the first page
+     * @param {Object} page - Captured first page ({html, url})
+     * @param {number} maxPages - Pages to combine at most, including the first
+     * @param {Function} onStatus - Called with progress messages
+     * @returns {Promise<Array<{html: string, url: string}>>} Following pages, in order
+     */
+    async function fetchNextPages(tab, page, maxPages, onStatus) {
+        const nextPages = [];
+        const seen = new Set([Pagination.normalizeUrl(page.url)]);
+        let current = page;
+
+        while (nextPages.length + 1 < maxPages) {
+            const doc = new DOMParser().parseFromString(current.html, 'text/html');
+            const nextUrl = Pagination.findNextUrl(doc, current.url, seen);
+            if (!nextUrl) break;
+            seen.add(nextUrl);
+
+            onStatus(`Fetching page ${nextPages.length + 2}...`, 'loading');
+            let result;
+            try {
+                [result] = await chrome.scripting.executeScript({
                     target: { tabId: tab.id },
-                    func: () => {
-                        return {
-                            html: document.documentElement.outerHTML,
-                            title: document.title,
-                            url: window.location.href
-                        };
-                    }
+                    func: async (url, timeoutMs) => {
+                        const response = await fetch(url, { credentials: 'include', signal: AbortSignal.timeout(timeoutMs) });
+                        if (!response.ok) return { error: `HTTP ${response.status}` };
+                        return { html: await response.text(), url: response.url };
+                    },
+                    args: [nextUrl, PAGINATION_FETCH_TIMEOUT_MS]
                 });
+            } catch (error) {
+                result = { result: { error: error.message } };
+            }
+
+            if (!result || !result.result || result.result.error) {
+                console.warn(`MarkItDown Popup: Stopped pagination at ${nextUrl}:`, result?.result?.error);
+                break;
+            }
+
+            // Redirects (e.g. past the last page back to the first) also end the chain
+            const fetchedUrl = Pagination.normalizeUrl(result.result.url);
+            if (fetchedUrl !== nextUrl && seen.has(fetchedUrl)) break;
+            seen.add(fetchedUrl);
+
+            current = result.result;
+            nextPages.push(current);
+        }
+
+        if (nextPages.length > 0) console.log(`MarkItDown Popup: Stitching ${nextPages.length + 1} pages`);
+        return nextPages;
+    }
+
+    /**
+     * List the window's tabs for batch conversion
+     * When several tabs are highlighted (Ctrl/Shift-click) only those are preselected
+     */
+    async function loadBatchTabs() {
+        batchTabs = (await chrome.tabs.query({ currentWindow: true }))
+            .filter(tab => /^(https?|file):/.test(tab.url || ''));
+        const highlighted = batchTabs.filter(tab => tab.highlighted);
+        const preselected = highlighted.length > 1 ? highlighted : batchTabs;
+
+        batchTabList.replaceChildren(...batchTabs.map(tab => {
+            const item = document.createElement('li');
+            item.dataset.tabId = tab.id;
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = preselected.includes(tab);
+
+            const title = document.createElement('span');
+            title.className = 'batch-tab-title';
+            title.textContent = tab.title || tab.url;
+            title.title = tab.url;
+
+            const tabStatus = document.createElement('span');
+            tabStatus.className = 'batch-tab-status';
+
+            label.append(checkbox, title, tabStatus);
+            item.appendChild(label);
+            return item;
+        }));
+
+        batchOutputSelect.value = settings.batchOutput;
+        updateBatchSelection();
+    }
+
+    /**
+     * Sync the "All tabs" checkbox and the convert button with the checked tabs
+     */
+    function updateBatchSelection() {
+        const checkboxes = Array.from(batchTabList.querySelectorAll('input[type="checkbox"]'));
+        const checked = checkboxes.filter(checkbox => checkbox.checked).length;
+        batchSelectAll.checked = checked > 0 && checked === checkboxes.length;
+        batchSelectAll.indeterminate = checked > 0 && checked < checkboxes.length;
+        convertTabsBtn.textContent = `Convert ${checked} Tab${checked === 1 ? '' : 's'}`;
+        convertTabsBtn.disabled = checked === 0 || !settingsLoaded;
+    }
+
+    /**
+     * Convert the checked tabs one after another, as one combined document or a ZIP with a file per tab
+     * A tab that fails is marked and listed, and does not stop the others
+     */
+    async function convertTabs() {
+        const items = Array.from(batchTabList.children).filter(item => item.querySelector('input').checked);
+        const tabs = items.map(item => batchTabs.find(tab => tab.id === Number(item.dataset.tabId)));
+        if (tabs.length === 0) return;
+
+        // Access to the tabs' sites must be requested straight from the click
+        const origins = new Set(tabs.filter(tab => /^https?:/.test(tab.url)).map(tab => `${new URL(tab.url).origin}/*`));
+        if (origins.size > 0) {
+            const granted = await chrome.permissions.request({ origins: Array.from(origins) }).catch(() => false);
+            if (!granted) console.warn('MarkItDown: Site access not granted, tabs other than the active one will fail');
+        }
+
+        const mode = batchOutputSelect.value;
+        // Combined sections start with a source line; front matter only suits separate files
+        const batchSettings = mode === 'combined' ? { ...settings, headerStyle: 'blockquote' } : settings;
+        const results = [];
 
-                if (result && result.result) {
-                    const { html, url } = result.result;
-                    
-                    // Show progress for AI description
-                    showStatus('Extracting cover image...', 'loading');
-                    
-                    // Use the enhanced converter with metadata extraction
-                    let markdown = '';
-                    markdown += `> Source: ${url}\n\n`;
-                    
-                    // Try to use the async converter with metadata
-                    if (typeof HtmlConverter.convertWithMetadata === 'function') {
-                        showStatus('Processing images with AI...', 'loading');
-                        console.log('MarkItDown Popup: Starting conversion with LLM processing');
-                        markdown += await HtmlConverter.convertWithMetadata(html, {
-                            includeCoverImage: true,
-                            includeAIDescription: true,
-                            processInlineImages: true,
-                            timeoutMs: 120000  // 2 minutes total for reasoning models
-                        });
-                        console.log('MarkItDown Popup: Conversion completed');
-                    } else {
-                        // Fallback to basic conversion
-                        const title = result.result.title;
-                        if (title) markdown = `# ${title}\n\n` + markdown;
-                        markdown += '---\n\n';
-                        markdown += HtmlConverter.convertClean(html);
-                    }
-
-                    output.value = markdown;
-                    showStatus('Page converted!', 'success');
-                } else {
-                    throw new Error('Could not access page content');
+        try {
+            convertTabsBtn.disabled = true;
+            convertPageBtn.disabled = true;
+
+            for (const [i, tab] of tabs.entries()) {
+                const tabStatus = items[i].querySelector('.batch-tab-status');
+                tabStatus.className = 'batch-tab-status';
+                tabStatus.textContent = '⏳';
+                tabStatus.title = '';
+                showStatus(`Converting tab ${i + 1} of ${tabs.length}: ${tab.title || tab.url}`, 'loading');
+
+                try {
+                    if (tab.discarded) throw new Error('Tab is unloaded; open it once and try again');
+                    results.push(await convertTab(tab, { settings: batchSettings }));
+                    tabStatus.textContent = '✓';
+                    tabStatus.classList.add('done');
+                } catch (error) {
+                    console.error(`Batch conversion failed for ${tab.url}:`, error);
+                    results.push({ title: tab.title, url: tab.url, error: error.message });
+                    tabStatus.textContent = '✗';
+                    tabStatus.title = error.message;
+                    tabStatus.classList.add('failed');
                 }
             }
+
+            const failedCount = results.filter(result => result.error).length;
+            const convertedCount = results.length - failedCount;
+            if (convertedCount === 0) {
+                showStatus('No tabs could be converted', 'error');
+                return;
+            }
+
+            if (mode === 'zip') {
+                const files = TabBatch.toFiles(results, settings.filenameTemplate);
+                await downloadBlob(`markitdown-tabs-${new Date().toISOString().slice(0, 10)}.zip`, Zip.create(files));
+            } else {
+                setOutput(TabBatch.combine(results), { title: `${convertedCount} tabs`, url: '', source: 'tabs' });
+            }
+
+            const summary = `Converted ${convertedCount} of ${tabs.length} tabs`;
+            showStatus(failedCount > 0 ? `${summary}; ${failedCount} failed (hover ✗ for the reason)` : summary,
+                failedCount > 0 ? 'error' : 'success');
         } catch (error) {
-            console.error('Conversion error:', error);
+            console.error('Batch conversion error:', error);
             showStatus('Error: ' + error.message, 'error');
         } finally {
             convertPageBtn.disabled = false;
+            updateBatchSelection();
+        }
+    }
+
+    /**
+     * Data type of a raw JSON/CSV/XML tab, from its content type or file extension
+     * The content is not sniffed: plain-text pages (source files, prose with commas) stay text
+     * @returns {string|null} 'json', 'csv', 'xml', or null for regular pages
+     */
+    function getRawDataType(page) {
+        if (page.rawText === null) return null;
+
+        return DataConverter.getTypeFromMimeType(page.contentType) ||
+            DataConverter.getTypeFromFilename(new URL(page.url).pathname);
+    }
+
+    /**
+     * JSON rendering options from the current settings, and the CSV delimiter of TSV sources
+     * @param {string} filename - File name or URL path of the data, if any
+     * @param {string} mimeType - MIME type of the data, if any
+     */
+    function getDataOptions(filename, mimeType) {
+        return {
+            mode: settings.jsonRenderMode,
+            maxDepth: settings.jsonMaxDepth,
+            maxItems: settings.jsonMaxItems,
+            delimiter: DataConverter.getDelimiter(filename, mimeType)
+        };
+    }
+
+    /**
+     * Convert local data (a dropped/chosen file or pasted text)
+     */
+    function convertData(content, { type, title, mimeType }) {
+        if (!content.trim()) {
+            showStatus('Nothing to convert', 'error');
+            return;
+        }
+
+        const detected = type || DataConverter.detectType(content);
+        setOutput(DataConverter.convert(content, detected, getDataOptions(title, mimeType)), { title, url: '', source: 'data' });
+        showStatus(detected === 'unknown'
+            ? 'Format not recognised, added as a code block'
+            : `${detected.toUpperCase()} converted!`, 'success');
+    }
+
+    /**
+     * Read and convert a local file
+     */
+    async function convertFile(file) {
+        try {
+            showStatus(`Reading ${file.name}...`, 'loading');
+            const type = DataConverter.getTypeFromFilename(file.name) || DataConverter.getTypeFromMimeType(file.type);
+            convertData(await file.text(), { type, title: file.name, mimeType: file.type });
+        } catch (error) {
+            console.error('File conversion error:', error);
+            showStatus('Error: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Start the element picker in the current tab
+     * The popup closes so the page can be clicked; the result is copied and preloaded
+     * here the next time the popup opens, like context menu conversions
+     */
+    async function pickElements() {
+        try {
+            const tab = await getCurrentTab();
+            await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['picker.js'] });
+            window.close();
+        } catch (error) {
+            console.error('Element picker error:', error);
+            showStatus('Error: ' + error.message, 'error');
         }
     }
 
@@ -137,8 +533,8 @@ document.addEventListener('DOMContentLoaded', () => {
             });
 
             if (result && result.result && result.result.html) {
-                const markdown = HtmlConverter.convert(result.result.html);
-                output.value = markdown;
+                const markdown = HtmlConverter.convert(result.result.html, { ...settings, url: tab.url });
+                setOutput(markdown, { title: tab.title, url: tab.url, source: 'selection' });
                 showStatus('Selection converted!', 'success');
             } else {
                 showStatus('No text selected', 'error');
@@ -176,10 +572,291 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Save the output as a .md file named from the filename template
+     */
+    async function saveMarkdownFile() {
+        if (!output.value) {
+            showStatus('Nothing to save', 'error');
+            return;
+        }
+
+        try {
+            const filename = await Downloads.saveMarkdown(output.value, outputDetails, settings);
+            showStatus(`Saved as ${filename}`, 'success');
+        } catch (error) {
+            console.error('Save error:', error);
+            showStatus('Save failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Download the output with its images, as a ZIP with an assets/ folder or a single file with data URIs
+     */
+    async function exportBundle() {
+        if (!output.value) {
+            showStatus('Nothing to export', 'error');
+            return;
+        }
+
+        const markdown = output.value;
+
+        // Access to the image hosts must be requested straight from the click
+        const origins = MarkdownBundle.getImageOrigins(markdown);
+        if (origins.length > 0) {
+            const granted = await chrome.permissions.request({ origins }).catch(() => false);
+            if (!granted) console.warn('MarkItDown: Image host access not granted, only CORS-enabled images can be bundled');
+        }
+
+        try {
+            exportBundleBtn.disabled = true;
+            showStatus('Downloading images...', 'loading');
+
+            const bundle = await MarkdownBundle.build(markdown, {
+                mode: settings.bundleImages === 'inline' ? 'inline' : 'zip',
+                timeoutMs: settings.imageTimeoutMs
+            });
+            await downloadBlob(Downloads.getFilename(settings.filenameTemplate, outputDetails, bundle.extension), bundle.blob);
+
+            const saved = `Exported with ${bundle.imageCount} image${bundle.imageCount === 1 ? '' : 's'}`;
+            if (bundle.failures.length === 0) {
+                showStatus(saved, 'success');
+            } else {
+                const failed = bundle.failures.slice(0, 3).map(failure =>
+                    `${failure.url.startsWith('data:') ? 'data URI' : failure.url.split('/').pop() || failure.url} (${failure.error})`);
+                if (bundle.failures.length > 3) failed.push(`${bundle.failures.length - 3} more`);
+                showStatus(`${saved}. ${bundle.failures.length} could not be downloaded: ${failed.join(', ')}`, 'error');
+            }
+        } catch (error) {
+            console.error('Export error:', error);
+            showStatus('Export failed: ' + error.message, 'error');
+        } finally {
+            exportBundleBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Switch between the Convert and History views
+     */
+    function showView(viewId) {
+        tabs.forEach(tab => tab.classList.toggle('active', tab.dataset.view === viewId));
+        document.querySelectorAll('.view').forEach(view => {
+            view.hidden = view.id !== viewId;
+        });
+        if (viewId === 'historyView') renderHistory();
+    }
+
+    /**
+     * Trigger a download of text content from the popup
+     */
+    function downloadText(filename, text, type = 'text/markdown') {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Save a blob to the downloads folder
+     * The object URL is only revoked once the download has finished, since popup downloads can be slow to start
+     */
+    async function downloadBlob(filename, blob) {
+        const url = URL.createObjectURL(blob);
+        const downloadId = await chrome.downloads.download({
+            url,
+            filename,
+            conflictAction: settings.filenameConflict === 'overwrite' ? 'overwrite' : 'uniquify'
+        });
+
+        const onChanged = delta => {
+            if (delta.id !== downloadId || !delta.state || delta.state.current === 'in_progress') return;
+            chrome.downloads.onChanged.removeListener(onChanged);
+            URL.revokeObjectURL(url);
+        };
+        chrome.downloads.onChanged.addListener(onChanged);
+    }
+
+    /**
+     * File name (without extension) for an export, from the page title
+     */
+    function getExportName(title) {
+        return (title || '').replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-').slice(0, 60) || 'conversion';
+    }
+
+    /**
+     * Build a history list item with preview and actions
+     */
+    function createHistoryItem(entry) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        const header = document.createElement('div');
+        header.className = 'history-item-header';
+
+        const info = document.createElement('div');
+        info.className = 'history-item-info';
+        const title = document.createElement('span');
+        title.className = 'history-item-title';
+        title.textContent = entry.title;
+        title.title = entry.url;
+        const meta = document.createElement('span');
+        meta.className = 'history-item-meta';
+        meta.textContent = `${entry.source} · ${new Date(entry.timestamp).toLocaleString()} · ${Math.ceil(entry.size / 1024)} KB`;
+        info.append(title, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-item-actions';
+        const addAction = (icon, label, handler) => {
+            const button = document.createElement('button');
+            button.className = 'btn-icon';
+            button.textContent = icon;
+            button.title = label;
+            button.addEventListener('click', event => {
+                event.stopPropagation();
+                handler();
+            });
+            actions.appendChild(button);
+        };
+
+        addAction('📋', 'Copy to clipboard', async () => {
+            await navigator.clipboard.writeText(entry.markdown);
+            showStatus('Copied to clipboard!', 'success');
+        });
+        addAction('↩️', 'Open in output', () => {
+            output.value = entry.markdown;
+            outputDetails = { title: entry.title, url: entry.url, source: entry.source };
+            showView('convertView');
+            showStatus(`Loaded: ${entry.title}`, 'success');
+        });
+        addAction('⬇️', 'Export as .md', () => {
+            downloadText(`${getExportName(entry.title)}.md`, entry.markdown);
+        });
+        addAction('🗑️', 'Delete', async () => {
+            await writeHistory('remove', { id: entry.id });
+            showStatus('Entry deleted', 'success');
+        });
+
+        header.append(info, actions);
+
+        // Clicking an entry toggles its preview
+        const preview = document.createElement('pre');
+        preview.className = 'history-preview';
+        preview.hidden = true;
+        header.addEventListener('click', () => {
+            if (!preview.textContent) preview.textContent = entry.markdown.slice(0, 5000);
+            preview.hidden = !preview.hidden;
+        });
+
+        item.append(header, preview);
+        return item;
+    }
+
+    /**
+     * Render the history list for the current search
+     */
+    async function renderHistory() {
+        const entries = await ConversionHistory.search(historySearch.value);
+        historyList.replaceChildren(...entries.map(createHistoryItem));
+        historyEmpty.hidden = entries.length > 0;
+    }
+
     // Event listeners
+    tabs.forEach(tab => tab.addEventListener('click', () => showView(tab.dataset.view)));
+    historySearch.addEventListener('input', renderHistory);
+    exportHistoryBtn.addEventListener('click', async () => {
+        const entries = await ConversionHistory.search(historySearch.value);
+        if (entries.length === 0) {
+            showStatus('Nothing to export', 'error');
+            return;
+        }
+        downloadText(`markitdown-history-${new Date().toISOString().slice(0, 10)}.json`,
+            ConversionHistory.exportJson(entries), 'application/json');
+    });
+    clearHistoryBtn.addEventListener('click', async () => {
+        if (!confirm('Delete all conversion history?')) return;
+        await writeHistory('clear');
+        showStatus('History cleared', 'success');
+    });
+    ConversionHistory.onChanged(() => {
+        if (!document.getElementById('historyView').hidden) renderHistory();
+    });
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) convertFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    dropZone.addEventListener('dragover', event => {
+        event.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', event => {
+        event.preventDefault();
+        dropZone.classList.remove('dragover');
+        if (settingsLoaded && event.dataTransfer.files.length > 0) convertFile(event.dataTransfer.files[0]);
+    });
+    batchPanel.addEventListener('toggle', () => {
+        if (batchPanel.open) loadBatchTabs().catch(error => console.error('Failed to list tabs:', error));
+    });
+    batchTabList.addEventListener('change', updateBatchSelection);
+    batchSelectAll.addEventListener('change', () => {
+        batchTabList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = batchSelectAll.checked;
+        });
+        updateBatchSelection();
+    });
+    batchOutputSelect.addEventListener('change', () => Settings.save({ batchOutput: batchOutputSelect.value }));
+    convertTabsBtn.addEventListener('click', convertTabs);
+    convertPasteBtn.addEventListener('click', () => {
+        convertData(pasteInput.value, { title: 'Pasted data' });
+    });
+
     convertPageBtn.addEventListener('click', convertPage);
     convertSelectionBtn.addEventListener('click', convertSelection);
+    pickElementsBtn.addEventListener('click', pickElements);
     copyBtn.addEventListener('click', copyToClipboard);
+    saveBtn.addEventListener('click', saveMarkdownFile);
+    exportBundleBtn.addEventListener('click', exportBundle);
+    optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+    /**
+     * Offer the video's caption tracks when the popup opens on a YouTube video
+     */
+    async function loadCaptionTracks() {
+        const tab = await getCurrentTab();
+        if (!YouTubeConverter.isYouTubeVideo(tab.url)) return;
+
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'getCaptionTracks' });
+        if (!response || !response.success || response.data.tracks.length === 0) return;
+
+        response.data.tracks.forEach(track => {
+            const label = `${track.name}${track.kind === 'auto-generated' ? ' (auto-generated)' : ''}`;
+            captionTrackSelect.add(new Option(label, track.index));
+        });
+        response.data.translationLanguages.forEach(lang => {
+            captionTranslateSelect.add(new Option(`Translate to ${lang.name}`, lang.languageCode));
+        });
+        captionTranslateSelect.disabled = response.data.translationLanguages.length === 0;
+        captionOptions.hidden = false;
+    }
+
+    /**
+     * Preload a conversion made from the context menu since the popup was last opened
+     */
+    async function loadLastConversion() {
+        const conversion = await chrome.runtime.sendMessage({ action: 'getLastConversion' });
+        if (!conversion || !conversion.unread || output.value) return;
+
+        output.value = conversion.markdown;
+        outputDetails = { title: conversion.title, url: conversion.url, source: conversion.source };
+        showStatus(`Loaded ${conversion.source} conversion${conversion.title ? ': ' + conversion.title : ''}`, 'success');
+        chrome.runtime.sendMessage({ action: 'markLastConversionRead' });
+    }
+
+    loadLastConversion().catch(error => console.error('Failed to load last conversion:', error));
+    loadCaptionTracks().catch(error => console.error('Failed to load caption tracks:', error));
 
     // Keyboard shortcut: Ctrl/Cmd + C when focused on output
     output.addEventListener('keydown', (e) => {
@@ -0,0 +1,232 @@
+/**
+ * Markdown Bundle
+ * Downloads the images a Markdown document links to so it no longer depends on
+ * remote hosts: either a ZIP with page.md and an assets/ folder, or a single
+ * Markdown file with the images inlined as data URIs.
+ * Requires utils/zip.js to be loaded first
+ */
+
+// Markdown images: ![alt](url "title"), the URL either in angle brackets or with balanced
+// parentheses, as Turndown writes the src of images like File_(1).jpg
+const BUNDLE_MARKDOWN_IMAGE_PATTERN = /(!\[[^\]]*\]\()(<[^>\n]*>|(?:[^\s()]|\([^\s()]*\))+)((?:\s+"[^"]*")?\))/g;
+
+// Images left as HTML (complex tables)
+const BUNDLE_HTML_IMAGE_PATTERN = /(<img\b[^>]*?\ssrc=")([^"]+)(")/gi;
+
+// Images downloaded at the same time
+const BUNDLE_CONCURRENCY = 4;
+
+// File extensions for image content types
+const BUNDLE_IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/avif': 'avif',
+    'image/svg+xml': 'svg', 'image/bmp': 'bmp', 'image/x-icon': 'ico', 'image/vnd.microsoft.icon': 'ico',
+    'image/tiff': 'tiff'
+};
+
+const MarkdownBundle = {
+    /**
+     * Unique image URLs referenced by a Markdown document
+     * @param {string} markdown
+     * @returns {string[]} http(s) and data: URLs, in order of appearance
+     */
+    getImageUrls(markdown) {
+        const urls = new Set();
+        [BUNDLE_MARKDOWN_IMAGE_PATTERN, BUNDLE_HTML_IMAGE_PATTERN].forEach(pattern => {
+            for (const match of markdown.matchAll(pattern)) {
+                const url = this.decodeUrl(match[2]);
+                if (/^(https?|data):/i.test(url)) urls.add(url);
+            }
+        });
+        return Array.from(urls);
+    },
+
+    /**
+     * Origin patterns for the hosts serving a document's images (for chrome.permissions.request)
+     * @param {string} markdown
+     * @returns {string[]} e.g. ['https://cdn.example.com/*']
+     */
+    getImageOrigins(markdown) {
+        const origins = new Set();
+        this.getImageUrls(markdown).forEach(url => {
+            try {
+                if (/^https?:/i.test(url)) origins.add(`${new URL(url).origin}/*`);
+            } catch (e) {
+                // Ignore malformed URLs; they are reported when the download fails
+            }
+        });
+        return Array.from(origins);
+    },
+
+    /**
+     * Download a document's images and build the bundle
+     * Images that fail to download keep their remote URL and are reported in `failures`
+     * @param {string} markdown - Markdown document
+     * @param {Object} options - Bundle options
+     * @param {string} options.mode - 'zip' (page.md plus assets/) or 'inline' (data URIs in a single file)
+     * @param {number} options.timeoutMs - Per-image download timeout
+     * @returns {Promise<{blob: Blob, extension: string, imageCount: number, failures: Array<{url: string, error: string}>}>}
+     */
+    async build(markdown, options = {}) {
+        const { mode = 'zip', timeoutMs = 20000 } = options;
+        const urls = this.getImageUrls(markdown);
+        const failures = [];
+        const assets = new Map();       // Content hash -> {name, data, type}
+        const replacements = new Map(); // Image URL -> local path or data URI
+
+        const results = await this.mapWithConcurrency(urls, BUNDLE_CONCURRENCY, url => this.fetchImage(url, timeoutMs));
+        for (let i = 0; i < urls.length; i++) {
+            const result = results[i];
+            if (result.status === 'rejected') {
+                failures.push({ url: urls[i], error: result.reason.message });
+                continue;
+            }
+
+            // Identical images served from different URLs are stored once
+            const { data, type, extension } = result.value;
+            const hash = await this.hash(data);
+            if (!assets.has(hash)) assets.set(hash, { name: `assets/${hash.slice(0, 16)}.${extension}`, data, type });
+
+            const asset = assets.get(hash);
+            replacements.set(urls[i], mode === 'inline' ? this.toDataUri(asset.data, asset.type) : asset.name);
+        }
+
+        if (failures.length > 0) {
+            console.warn(`MarkItDown: ${failures.length} image(s) could not be downloaded`, failures);
+        }
+
+        const bundled = this.replaceImageUrls(markdown, replacements);
+        if (mode === 'inline') {
+            return {
+                blob: new Blob([bundled], { type: 'text/markdown' }),
+                extension: 'md',
+                imageCount: replacements.size,
+                failures
+            };
+        }
+
+        const files = [{ name: 'page.md', data: bundled }, ...assets.values()];
+        return { blob: Zip.create(files), extension: 'zip', imageCount: replacements.size, failures };
+    },
+
+    /**
+     * Download an image
+     * Cookies are sent so images behind a login can be bundled while the user is signed in
+     * @param {string} url - Image URL
+     * @param {number} timeoutMs - Download timeout
+     * @returns {Promise<{data: Uint8Array, type: string, extension: string}>}
+     */
+    async fetchImage(url, timeoutMs) {
+        let response;
+        try {
+            response = await fetch(url, { credentials: 'include', signal: AbortSignal.timeout(timeoutMs) });
+        } catch (error) {
+            throw new Error(error.name === 'TimeoutError' ? `Timed out after ${timeoutMs / 1000}s` : error.message);
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        let type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        const extension = this.getExtension(url, type);
+        if (!extension) throw new Error(`Not an image (${type || 'unknown type'})`);
+
+        // Untyped images get the type matching their extension so data URIs still render
+        if (!type.startsWith('image/')) {
+            type = Object.keys(BUNDLE_IMAGE_EXTENSIONS).find(key => BUNDLE_IMAGE_EXTENSIONS[key] === extension) || 'application/octet-stream';
+        }
+
+        return { data: new Uint8Array(await response.arrayBuffer()), type, extension };
+    },
+
+    /**
+     * File extension for a downloaded image, from its content type or URL
+     * @param {string} url - Image URL
+     * @param {string} type - Content type from the response
+     * @returns {string|null} Extension, or null when the response is not an image
+     */
+    getExtension(url, type) {
+        if (BUNDLE_IMAGE_EXTENSIONS[type]) return BUNDLE_IMAGE_EXTENSIONS[type];
+        if (type.startsWith('image/')) return type.slice(6).replace(/\W.*$/, '') || 'img';
+
+        // Some servers send images as application/octet-stream or without a type
+        if (type && type !== 'application/octet-stream' && type !== 'binary/octet-stream') return null;
+        const match = /^https?:/i.test(url) && new URL(url).pathname.match(/\.(jpe?g|png|gif|webp|avif|svg|bmp|ico|tiff?)$/i);
+        return match ? match[1].toLowerCase().replace('jpeg', 'jpg') : null;
+    },
+
+    /**
+     * SHA-256 of some bytes as hex
+     * @param {Uint8Array} data
+     * @returns {Promise<string>}
+     */
+    async hash(data) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Encode bytes as a data URI
+     * @param {Uint8Array} data
+     * @param {string} type - Content type
+     * @returns {string}
+     */
+    toDataUri(data, type) {
+        let binary = '';
+        for (let i = 0; i < data.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, data.subarray(i, i + 0x8000));
+        }
+        return `data:${type};base64,${btoa(binary)}`;
+    },
+
+    /**
+     * Point image links at their bundled copies
+     * @param {string} markdown
+     * @param {Map<string, string>} replacements - Image URL -> new URL
+     * @returns {string}
+     */
+    replaceImageUrls(markdown, replacements) {
+        const replace = (match, before, url, after) => {
+            const replacement = replacements.get(this.decodeUrl(url));
+            return replacement ? before + replacement + after : match;
+        };
+        return markdown
+            .replace(BUNDLE_MARKDOWN_IMAGE_PATTERN, replace)
+            .replace(BUNDLE_HTML_IMAGE_PATTERN, replace);
+    },
+
+    /**
+     * Undo the &amp; escaping of URLs inside HTML attributes and the <...> around Markdown destinations
+     * @param {string} url
+     * @returns {string}
+     */
+    decodeUrl(url) {
+        return url.replace(/^<(.*)>$/, '$1').replace(/&amp;/g, '&');
+    },
+
+    /**
+     * Run an async function over items with a limited number in flight
+     * @param {Array} items
+     * @param {number} limit - Maximum concurrent calls
+     * @param {Function} fn - Async function called with each item
+     * @returns {Promise<Array<PromiseSettledResult>>} Results in item order
+     */
+    async mapWithConcurrency(items, limit, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                try {
+                    results[index] = { status: 'fulfilled', value: await fn(items[index]) };
+                } catch (error) {
+                    results[index] = { status: 'rejected', reason: error };
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+        return results;
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.MarkdownBundle = MarkdownBundle;
+}
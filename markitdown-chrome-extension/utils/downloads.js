@@ -0,0 +1,143 @@
+/**
+ * Downloads
+ * Saves conversions through chrome.downloads, naming them from the user's
+ * filename template (e.g. {site}/{yyyy}-{mm}-{dd}-{slug}.md)
+ */
+
+// Used when the template is empty or produces no usable path
+const DEFAULT_FILENAME_TEMPLATE = '{site}/{yyyy}-{mm}-{dd}-{slug}.md';
+
+// Longest file or folder name written (most file systems allow 255 bytes)
+const MAX_FILENAME_SEGMENT_LENGTH = 100;
+
+// Names Windows reserves for devices
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+const Downloads = {
+    /**
+     * Build a download path from a filename template
+     * Tokens: {title}, {slug}, {site}, {source}, {date} (yyyy-mm-dd), {yyyy}, {mm}, {dd}, {hh}, {min}, {ss}
+     * @param {string} template - Filename template; '/' separates folders
+     * @param {Object} details - Conversion details
+     * @param {string} details.title - Page title
+     * @param {string} details.url - Page URL
+     * @param {string} details.source - 'page', 'selection', 'youtube' or 'data'
+     * @param {string} extension - File extension, replacing the template's own
+     * @param {Date} date - Time used for the date tokens
+     * @returns {string} Relative path inside the downloads folder
+     */
+    getFilename(template, details = {}, extension = 'md', date = new Date()) {
+        const pad = number => String(number).padStart(2, '0');
+        const title = details.title || this.getUrlName(details.url) || 'Untitled';
+        const values = {
+            title,
+            slug: this.slugify(title) || 'conversion',
+            site: this.getSiteName(details.url) || 'local',
+            source: details.source || 'page',
+            date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+            yyyy: String(date.getFullYear()),
+            mm: pad(date.getMonth() + 1),
+            dd: pad(date.getDate()),
+            hh: pad(date.getHours()),
+            min: pad(date.getMinutes()),
+            ss: pad(date.getSeconds())
+        };
+
+        // Token values cannot add folders: slashes in titles are replaced, not followed
+        const fill = pattern => pattern.replace(/\{(\w+)\}/g, (token, name) =>
+            values[name] !== undefined ? values[name].replace(/[/\\]/g, '-') : token);
+
+        const segments = fill((template || '').trim() || DEFAULT_FILENAME_TEMPLATE)
+            .split(/[/\\]+/)
+            .map(segment => this.sanitizeSegment(segment))
+            .filter(Boolean);
+
+        const name = (segments.pop() || values.slug).replace(/\.(md|markdown|txt)$/i, '');
+        return [...segments, `${name || values.slug}.${extension}`].join('/');
+    },
+
+    /**
+     * Lowercase, hyphenated form of a title, keeping letters from any script
+     * @param {string} text
+     * @returns {string} e.g. "Hello, World!" -> "hello-world"
+     */
+    slugify(text) {
+        return (text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 80)
+            .replace(/-+$/, '');
+    },
+
+    /**
+     * Make a file or folder name safe on Windows, macOS and Linux
+     * @param {string} segment
+     * @returns {string} Safe name, or '' if nothing usable is left
+     */
+    sanitizeSegment(segment) {
+        let name = segment
+            .replace(/[<>:"|?*\u0000-\u001f\u007f]/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, MAX_FILENAME_SEGMENT_LENGTH)
+            .replace(/^[.\s]+|[.\s]+$/g, '');
+        if (RESERVED_FILENAMES.test(name)) name = `_${name}`;
+        return name;
+    },
+
+    /**
+     * Host name without "www." for the {site} token
+     * @param {string} url
+     * @returns {string}
+     */
+    getSiteName(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch (e) {
+            return '';
+        }
+    },
+
+    /**
+     * Last path segment of a URL, used as the title for untitled documents
+     * @param {string} url
+     * @returns {string}
+     */
+    getUrlName(url) {
+        try {
+            return decodeURIComponent(new URL(url).pathname.split('/').pop()).replace(/\.\w+$/, '');
+        } catch (e) {
+            return '';
+        }
+    },
+
+    /**
+     * Save Markdown as a file using the filename settings
+     * A data: URL is used because service workers cannot create object URLs and
+     * the popup may close (revoking its object URLs) while the save dialog is open
+     * @param {string} markdown - Markdown content
+     * @param {Object} details - Conversion details (see getFilename)
+     * @param {Object} settings - Extension settings
+     * @returns {Promise<string>} Path the file was saved under (before any collision renaming)
+     */
+    async saveMarkdown(markdown, details, settings) {
+        const filename = this.getFilename(settings.filenameTemplate, details, 'md');
+        await chrome.downloads.download({
+            url: `data:text/markdown;charset=utf-8,${encodeURIComponent(markdown)}`,
+            filename,
+            conflictAction: settings.filenameConflict === 'overwrite' ? 'overwrite' : 'uniquify',
+            saveAs: !!settings.saveAsPrompt
+        });
+        return filename;
+    }
+};
+
+// Export for use in other scripts (the service worker has no window)
+if (typeof window !== 'undefined') {
+    window.Downloads = Downloads;
+} else if (typeof self !== 'undefined') {
+    self.Downloads = Downloads;
+}
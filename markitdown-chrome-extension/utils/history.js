@@ -0,0 +1,178 @@
+/**
+ * Conversion History
+ * Keeps past conversions in chrome.storage.local, evicting the oldest
+ * entries to stay within the configured entry and size limits
+ */
+
+const HISTORY_STORAGE_KEY = 'history';
+
+// Tail of the chain that runs this context's writes one after another
+let historyWrites = Promise.resolve();
+
+const ConversionHistory = {
+    /**
+     * Load all entries, newest first
+     * @returns {Promise<Array>} History entries
+     */
+    async load() {
+        const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+        return result[HISTORY_STORAGE_KEY] || [];
+    },
+
+    /**
+     * Record a conversion (no-op when history is disabled)
+     * @param {Object} conversion - Conversion details
+     * @param {string} conversion.markdown - Converted Markdown
+     * @param {string} conversion.url - Source URL
+     * @param {string} conversion.title - Page title
+     * @param {string} conversion.source - 'page', 'selection', 'picker', 'youtube', 'data' or 'tabs'
+     * @returns {Promise<Object|null>} Stored entry, or null if not stored
+     */
+    add({ markdown, url = '', title = '', source = 'page' }) {
+        return this.queueWrite(() => this.addEntry({ markdown, url, title, source }));
+    },
+
+    /**
+     * Store a conversion; only called through queueWrite()
+     * @param {Object} conversion - Conversion details, as for add()
+     * @returns {Promise<Object|null>} Stored entry, or null if not stored
+     */
+    async addEntry({ markdown, url, title, source }) {
+        const settings = await Settings.load();
+        if (!settings.historyEnabled || !markdown) return null;
+
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            url,
+            title: title || url || 'Untitled',
+            source,
+            timestamp: Date.now(),
+            markdown
+        };
+        entry.size = this.getEntrySize(entry);
+
+        const maxBytes = settings.historyMaxMegabytes * 1024 * 1024;
+        if (entry.size > maxBytes) {
+            console.warn(`MarkItDown: Conversion (${entry.size} bytes) exceeds the history size limit, not saved`);
+            return null;
+        }
+
+        const entries = [entry, ...(await this.load())];
+
+        // Evict oldest entries until both limits are respected
+        let totalSize = entries.reduce((sum, e) => sum + this.getEntrySize(e), 0);
+        while (entries.length > settings.historyMaxEntries || totalSize > maxBytes) {
+            totalSize -= this.getEntrySize(entries.pop());
+        }
+
+        await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: entries });
+        return entry;
+    },
+
+    /**
+     * Search entries by title, URL or content
+     * @param {string} query - Search text (case-insensitive, all words must match)
+     * @returns {Promise<Array>} Matching entries, newest first
+     */
+    async search(query = '') {
+        const entries = await this.load();
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return entries;
+
+        return entries.filter(entry => {
+            const haystack = `${entry.title}\n${entry.url}\n${entry.markdown}`.toLowerCase();
+            return words.every(word => haystack.includes(word));
+        });
+    },
+
+    /**
+     * Get a single entry
+     * @param {string} id - Entry id
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        const entries = await this.load();
+        return entries.find(entry => entry.id === id) || null;
+    },
+
+    /**
+     * Delete a single entry
+     * @param {string} id - Entry id
+     */
+    remove(id) {
+        return this.queueWrite(async () => {
+            const entries = await this.load();
+            await chrome.storage.local.set({
+                [HISTORY_STORAGE_KEY]: entries.filter(entry => entry.id !== id)
+            });
+        });
+    },
+
+    /**
+     * Delete all entries
+     */
+    clear() {
+        return this.queueWrite(() => chrome.storage.local.remove(HISTORY_STORAGE_KEY));
+    },
+
+    /**
+     * Run a read-modify-write of the stored entries once the writes started before it
+     * have finished, so overlapping conversions do not overwrite each other's entries
+     * The chain only orders writes made in one context, so extension pages send theirs
+     * to the service worker ('writeHistory' message) instead of calling add/remove/clear
+     * @param {Function} write - Async function updating the entries
+     * @returns {Promise<*>} Result of the write
+     */
+    queueWrite(write) {
+        const result = historyWrites.then(write);
+        historyWrites = result.catch(() => {});
+        return result;
+    },
+
+    /**
+     * Serialize entries for export
+     * @param {Array} entries - Entries to export
+     * @returns {string} Pretty-printed JSON
+     */
+    exportJson(entries) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            entries
+        }, null, 2);
+    },
+
+    /**
+     * Storage taken by an entry: its JSON, escaping, title and URL included
+     * @param {Object} entry
+     * @returns {number} Bytes
+     */
+    getEntrySize(entry) {
+        return this.getSize(JSON.stringify(entry));
+    },
+
+    /**
+     * Approximate storage size of a string in bytes (UTF-8)
+     * @param {string} text
+     * @returns {number}
+     */
+    getSize(text) {
+        return new TextEncoder().encode(text).length;
+    },
+
+    /**
+     * Subscribe to history changes made from any extension page
+     * @param {Function} callback - Called with no arguments
+     */
+    onChanged(callback) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[HISTORY_STORAGE_KEY]) callback();
+        });
+    }
+};
+
+// Export for use in other scripts (the service worker has no window)
+if (typeof window !== 'undefined') {
+    window.ConversionHistory = ConversionHistory;
+} else if (typeof self !== 'undefined') {
+    self.ConversionHistory = ConversionHistory;
+}
@@ -0,0 +1,361 @@
+/**
+ * LLM Providers
+ * Maps image-description requests onto each provider's HTTP API
+ * (OpenAI, OpenAI-compatible servers, Ollama, Azure OpenAI and Anthropic)
+ */
+
+const IMAGE_DESCRIPTION_PROMPT = 'Describe this image in 2-3 sentences. Focus on the main subject, visual elements, and any text visible. Be concise and informative.';
+
+/**
+ * Check whether a model uses internal reasoning tokens
+ * Reasoning models need ~200 reasoning tokens + ~100 output tokens
+ * @param {string} model - Model name
+ * @returns {boolean}
+ */
+function isReasoningModel(model) {
+    return model.startsWith('gpt-5') || model.startsWith('o1') || model.startsWith('o3') || model.includes('2024') || model.includes('2025');
+}
+
+/**
+ * Remove trailing slashes so paths can be appended safely
+ * @param {string} url - Base URL
+ * @returns {string}
+ */
+function trimTrailingSlash(url) {
+    return url.replace(/\/+$/, '');
+}
+
+/**
+ * Build the Authorization-style header for an auth scheme
+ * @param {string} scheme - 'bearer', 'api-key', 'x-api-key' or 'none'
+ * @param {string} apiKey - API key
+ * @returns {Object} Headers to merge into the request
+ */
+function authHeaders(scheme, apiKey) {
+    if (!apiKey || scheme === 'none') return {};
+    if (scheme === 'api-key') return { 'api-key': apiKey };
+    if (scheme === 'x-api-key') return { 'x-api-key': apiKey };
+    return { 'Authorization': `Bearer ${apiKey}` };
+}
+
+/**
+ * Fetch an image and return it base64-encoded (for providers that do not accept URLs)
+ * @param {string} imageUrl - Image URL
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<{data: string, mediaType: string}>}
+ */
+async function fetchImageAsBase64(imageUrl, signal) {
+    const response = await fetch(imageUrl, { signal });
+    if (!response.ok) throw new Error(`Image download failed with status ${response.status}`);
+
+    const blob = await response.blob();
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return { data: btoa(binary), mediaType: blob.type || 'image/jpeg' };
+}
+
+/**
+ * OpenAI Chat Completions request body (shared by OpenAI, compatible servers and Azure)
+ */
+function chatCompletionsBody(config, imageUrl, tokens) {
+    return {
+        model: config.model,
+        messages: [
+            {
+                role: 'user',
+                content: [
+                    { type: 'text', text: IMAGE_DESCRIPTION_PROMPT },
+                    { type: 'image_url', image_url: { url: imageUrl, detail: 'auto' } }
+                ]
+            }
+        ],
+        [tokens.parameter]: tokens.limit
+    };
+}
+
+function chatCompletionsResponse(data) {
+    return data.choices?.[0]?.message?.content || null;
+}
+
+const LLM_PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini',
+        authScheme: 'bearer',
+        requiresApiKey: true,
+        // Newer/reasoning models (gpt-5, o1, o3, dated snapshots) only accept max_completion_tokens
+        tokenParameter: model => isReasoningModel(model) ? 'max_completion_tokens' : 'max_tokens',
+        tokenParameters: ['max_tokens', 'max_completion_tokens'],
+
+        async buildRequest(config, imageUrl, tokens) {
+            return {
+                url: `${config.baseUrl}/chat/completions`,
+                body: chatCompletionsBody(config, imageUrl, tokens)
+            };
+        },
+        parseResponse: chatCompletionsResponse,
+        testUrl: config => `${config.baseUrl}/models`
+    },
+
+    'openai-compatible': {
+        label: 'OpenAI-compatible server (LM Studio, vLLM, LocalAI...)',
+        defaultBaseUrl: 'http://localhost:8080/v1',
+        defaultModel: '',
+        authScheme: 'bearer',
+        requiresApiKey: false,
+        tokenParameter: () => 'max_tokens',
+        tokenParameters: ['max_tokens', 'max_completion_tokens'],
+
+        async buildRequest(config, imageUrl, tokens) {
+            return {
+                url: `${config.baseUrl}/chat/completions`,
+                body: chatCompletionsBody(config, imageUrl, tokens)
+            };
+        },
+        parseResponse: chatCompletionsResponse,
+        testUrl: config => `${config.baseUrl}/models`
+    },
+
+    ollama: {
+        label: 'Ollama',
+        defaultBaseUrl: 'http://localhost:11434',
+        defaultModel: 'llava',
+        authScheme: 'none',
+        requiresApiKey: false,
+        tokenParameter: () => 'num_predict',
+        tokenParameters: ['num_predict'],
+        // Images are downloaded by the extension, which needs access to their hosts
+        fetchesImages: true,
+
+        // Ollama's native chat API only accepts base64 image data
+        async buildRequest(config, imageUrl, tokens, signal) {
+            const image = await fetchImageAsBase64(imageUrl, signal);
+            return {
+                url: `${config.baseUrl}/api/chat`,
+                body: {
+                    model: config.model,
+                    stream: false,
+                    messages: [
+                        { role: 'user', content: IMAGE_DESCRIPTION_PROMPT, images: [image.data] }
+                    ],
+                    options: { [tokens.parameter]: tokens.limit }
+                }
+            };
+        },
+        parseResponse: data => data.message?.content || null,
+        testUrl: config => `${config.baseUrl}/api/tags`
+    },
+
+    azure: {
+        label: 'Azure OpenAI',
+        defaultBaseUrl: 'https://YOUR-RESOURCE.openai.azure.com',
+        defaultModel: '',
+        authScheme: 'api-key',
+        requiresApiKey: true,
+        tokenParameter: model => isReasoningModel(model) ? 'max_completion_tokens' : 'max_tokens',
+        tokenParameters: ['max_tokens', 'max_completion_tokens'],
+
+        // The model setting holds the deployment name
+        async buildRequest(config, imageUrl, tokens) {
+            const body = chatCompletionsBody(config, imageUrl, tokens);
+            delete body.model;
+            return {
+                url: `${config.baseUrl}/openai/deployments/${encodeURIComponent(config.model)}/chat/completions?api-version=${encodeURIComponent(config.azureApiVersion)}`,
+                body
+            };
+        },
+        parseResponse: chatCompletionsResponse,
+        testUrl: config => `${config.baseUrl}/openai/models?api-version=${encodeURIComponent(config.azureApiVersion)}`
+    },
+
+    anthropic: {
+        label: 'Anthropic',
+        defaultBaseUrl: 'https://api.anthropic.com',
+        defaultModel: 'claude-3-5-haiku-latest',
+        authScheme: 'x-api-key',
+        requiresApiKey: true,
+        tokenParameter: () => 'max_tokens',
+        tokenParameters: ['max_tokens'],
+        extraHeaders: {
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
+        },
+
+        async buildRequest(config, imageUrl, tokens) {
+            return {
+                url: `${config.baseUrl}/v1/messages`,
+                body: {
+                    model: config.model,
+                    [tokens.parameter]: tokens.limit,
+                    messages: [
+                        {
+                            role: 'user',
+                            content: [
+                                { type: 'image', source: { type: 'url', url: imageUrl } },
+                                { type: 'text', text: IMAGE_DESCRIPTION_PROMPT }
+                            ]
+                        }
+                    ]
+                }
+            };
+        },
+        parseResponse: data => (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('\n') || null,
+        testUrl: config => `${config.baseUrl}/v1/models`
+    }
+};
+
+const LLMProviders = {
+    PROVIDERS: LLM_PROVIDERS,
+
+    /**
+     * Get a provider definition (falls back to OpenAI for unknown ids)
+     * @param {string} id - Provider id
+     * @returns {Object} Provider definition
+     */
+    get(id) {
+        return LLM_PROVIDERS[id] || LLM_PROVIDERS.openai;
+    },
+
+    /**
+     * Resolve settings into the effective endpoint, auth and model for a provider
+     * @param {Object} settings - Extension settings
+     * @returns {Object} Resolved provider config
+     */
+    resolve(settings) {
+        const provider = this.get(settings.provider);
+        return {
+            ...settings,
+            provider,
+            baseUrl: trimTrailingSlash(settings.baseUrl || provider.defaultBaseUrl),
+            model: settings.model || provider.defaultModel,
+            authScheme: settings.authScheme && settings.authScheme !== 'auto' ? settings.authScheme : provider.authScheme
+        };
+    },
+
+    /**
+     * Check whether the settings contain everything needed to call the provider
+     * @param {Object} settings - Extension settings
+     * @returns {boolean}
+     */
+    isConfigured(settings) {
+        const config = this.resolve(settings);
+        if (!config.model) return false;
+        return !config.provider.requiresApiKey || Settings.isApiKeySet(config.apiKey);
+    },
+
+    /**
+     * Pick the token-limit parameter name and value for a request
+     * @param {Object} config - Resolved provider config
+     * @returns {{parameter: string, limit: number}}
+     */
+    resolveTokens(config) {
+        const { provider } = config;
+        const parameter = provider.tokenParameters.includes(config.tokenParameter)
+            ? config.tokenParameter
+            : provider.tokenParameter(config.model);
+        const limit = config.maxTokens > 0 ? config.maxTokens : (isReasoningModel(config.model) ? 600 : 300);
+        return { parameter, limit };
+    },
+
+    /**
+     * Origin match pattern for the configured endpoint (used for optional host permissions)
+     * @param {Object} settings - Extension settings
+     * @returns {string|null} Match pattern, e.g. "http://localhost:11434/*"
+     */
+    getOriginPattern(settings) {
+        try {
+            const url = new URL(this.resolve(settings).baseUrl);
+            return `${url.protocol}//${url.hostname}/*`;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Whether the configured provider downloads images itself instead of receiving their URL
+     * @param {Object} settings - Extension settings
+     * @returns {boolean}
+     */
+    fetchesImages(settings) {
+        return !!this.get(settings.provider).fetchesImages && this.isConfigured(settings);
+    },
+
+    /**
+     * Request an image description from the configured provider
+     * @param {Object} settings - Extension settings
+     * @param {string} imageUrl - URL of the image to describe
+     * @param {AbortSignal} signal - Abort signal for timeouts
+     * @returns {Promise<string|null>} Description or null if the response had none
+     */
+    async describeImage(settings, imageUrl, signal) {
+        const config = this.resolve(settings);
+        const tokens = this.resolveTokens(config);
+        console.log(`MarkItDown: Using ${config.provider.label} (${config.model}) with ${tokens.parameter}=${tokens.limit}`);
+
+        const request = await config.provider.buildRequest(config, imageUrl, tokens, signal);
+        const response = await fetch(request.url, {
+            signal,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders(config.authScheme, config.apiKey),
+                ...(config.provider.extraHeaders || {})
+            },
+            body: JSON.stringify(request.body)
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const message = errorData?.error?.message || errorData?.error || `status ${response.status}`;
+            throw new Error(`${config.provider.label} API error: ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+        }
+
+        return config.provider.parseResponse(await response.json());
+    },
+
+    /**
+     * Check the endpoint and credentials by listing models
+     * @param {Object} settings - Extension settings
+     * @returns {Promise<{valid: boolean, message: string}>}
+     */
+    async testConnection(settings) {
+        const config = this.resolve(settings);
+
+        if (config.provider.requiresApiKey && !Settings.isApiKeySet(config.apiKey)) {
+            return { valid: false, message: 'No API key entered' };
+        }
+
+        try {
+            const response = await fetch(config.provider.testUrl(config), {
+                headers: {
+                    ...authHeaders(config.authScheme, config.apiKey),
+                    ...(config.provider.extraHeaders || {})
+                }
+            });
+
+            if (response.ok) {
+                return { valid: true, message: `Connected to ${config.provider.label}` };
+            }
+
+            const errorData = await response.json().catch(() => ({}));
+            return {
+                valid: false,
+                message: errorData?.error?.message || `API returned status ${response.status}`
+            };
+        } catch (error) {
+            return { valid: false, message: `Could not reach ${config.baseUrl}: ${error.message}` };
+        }
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.LLMProviders = LLMProviders;
+}
@@ -0,0 +1,162 @@
+/**
+ * Extension Settings
+ * Persists user preferences in chrome.storage and notifies pages when they change
+ */
+
+const SETTINGS_STORAGE_KEY = 'settings';
+
+// Placeholder key shipped in config.example.js
+const PLACEHOLDER_API_KEY = 'sk-YOUR-OPENAI-KEY-HERE';
+
+const DEFAULT_SETTINGS = {
+    // LLM provider for image descriptions (see utils/llm-providers.js)
+    provider: 'openai',
+    baseUrl: '',                    // Empty = provider default
+    apiKey: '',
+    model: 'gpt-4o-mini',
+    authScheme: 'auto',             // 'auto', 'bearer', 'api-key', 'x-api-key' or 'none'
+    tokenParameter: 'auto',         // 'auto' or the provider's parameter name
+    maxTokens: 0,                   // 0 = 300, or 600 for reasoning models
+    azureApiVersion: '2024-10-21',
+
+    // Conversion toggles (passed to HtmlConverter.convertWithMetadata)
+    extractionMode: 'article',      // 'article' (main content only) or 'full' (whole page)
+    headerStyle: 'blockquote',      // 'blockquote' (> Source: line) or 'frontmatter' (YAML metadata)
+    mathSyntax: 'dollar',           // 'dollar' ($x$, Obsidian), 'github' ($`x`$) or 'latex' (\(x\))
+    linkStyle: 'inline',            // 'inline' ([text](url)) or 'referenced' ([text][1], defined at the end)
+    stripTrackingParams: true,      // Remove utm_*, fbclid, gclid... from link and image URLs
+    stitchPagination: false,        // Follow rel="next" / "Next page" links and append the following pages
+    paginationMaxPages: 10,         // Pages stitched at most, including the first
+    includeCoverImage: true,
+    includeAIDescription: true,
+    processInlineImages: true,
+
+    // YouTube transcripts
+    transcriptFormat: 'timestamped',    // 'plain', 'timestamped', 'srt' or 'vtt'
+    captionLanguage: 'en',              // Preferred caption language code
+    preferManualCaptions: true,         // Prefer uploaded captions over auto-generated ones
+
+    // Data files (JSON, CSV, XML)
+    jsonRenderMode: 'auto',         // 'auto' (tables and sections), 'outline' (nested lists) or 'code' (fenced JSON)
+    jsonMaxDepth: 6,                // Deeper values are shown as inline JSON
+    jsonMaxItems: 200,              // Array items rendered before truncating
+
+    // Per-site extraction rules (see utils/site-rules.js), ahead of the built-in detection
+    siteRules: [],
+
+    // Crawling (context menu "Crawl site from this page")
+    crawlMaxDepth: 2,               // Link hops followed from the start page
+    crawlMaxPages: 50,              // Pages converted before stopping
+    crawlDelayMs: 1000,             // Pause between requests (raised to the site's robots.txt Crawl-delay)
+    crawlLinkSelector: '',          // Only follow links inside this CSS selector ('' = anywhere on the page)
+
+    // Export
+    filenameTemplate: '{site}/{yyyy}-{mm}-{dd}-{slug}.md',  // Path inside the downloads folder (see Downloads.getFilename)
+    filenameConflict: 'uniquify',   // 'uniquify' (add a number) or 'overwrite' when the file exists
+    saveAsPrompt: false,            // Ask where to save each file
+    batchOutput: 'combined',        // 'combined' (one document with contents) or 'zip' (one file per tab)
+    bundleImages: 'assets',         // 'assets' (ZIP with an assets/ folder) or 'inline' (single .md with data URIs)
+
+    // Conversion history
+    historyEnabled: true,
+    historyMaxEntries: 200,
+    historyMaxMegabytes: 5,         // Entries as stored (JSON); unlimitedStorage lifts the 10 MB storage.local quota
+
+    // Timeouts
+    timeoutMs: 120000,      // 2 minutes total for reasoning models
+    imageTimeoutMs: 20000   // Per inline image
+};
+
+const Settings = {
+    DEFAULTS: DEFAULT_SETTINGS,
+
+    /**
+     * Load settings, filling in defaults for anything not saved yet
+     * @returns {Promise<Object>} Settings object
+     */
+    async load() {
+        // Offscreen documents only get chrome.runtime, so ask the service worker instead
+        if (!chrome.storage) {
+            const stored = await chrome.runtime.sendMessage({ action: 'getSettings' });
+            return this.migrate({ ...DEFAULT_SETTINGS, ...(stored || {}) });
+        }
+
+        const result = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+        return this.migrate({ ...DEFAULT_SETTINGS, ...(result[SETTINGS_STORAGE_KEY] || {}) });
+    },
+
+    /**
+     * Upgrade settings saved by older versions (written back on the next save)
+     * @param {Object} settings - Settings object
+     * @returns {Object} Settings object
+     */
+    migrate(settings) {
+        // Selectors remembered by the element picker became site rules
+        const { rememberedSelectors, ...migrated } = settings;
+        if (!rememberedSelectors) return settings;
+
+        const siteRules = [...(migrated.siteRules || [])];
+        Object.entries(rememberedSelectors).forEach(([hostname, selector]) => {
+            if (!siteRules.some(rule => rule.pattern === hostname)) siteRules.push({ pattern: hostname, contentSelector: selector });
+        });
+        return { ...migrated, siteRules };
+    },
+
+    /**
+     * Merge changes into the stored settings
+     * @param {Object} changes - Settings to update
+     * @returns {Promise<Object>} Updated settings object
+     */
+    async save(changes) {
+        const current = await this.load();
+        const updated = { ...current, ...changes };
+        await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: updated });
+        return updated;
+    },
+
+    /**
+     * Restore all settings to their defaults
+     * @returns {Promise<Object>} Default settings object
+     */
+    async reset() {
+        await chrome.storage.local.remove(SETTINGS_STORAGE_KEY);
+        return { ...DEFAULT_SETTINGS };
+    },
+
+    /**
+     * Subscribe to settings changes made from any extension page
+     * @param {Function} callback - Called with the full updated settings object
+     */
+    onChanged(callback) {
+        // Offscreen documents are told about changes by the service worker
+        if (!chrome.storage) {
+            chrome.runtime.onMessage.addListener(request => {
+                if (request.action === 'settingsChanged') {
+                    callback(this.migrate({ ...DEFAULT_SETTINGS, ...(request.settings || {}) }));
+                }
+            });
+            return;
+        }
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes[SETTINGS_STORAGE_KEY]) return;
+            callback(this.migrate({ ...DEFAULT_SETTINGS, ...(changes[SETTINGS_STORAGE_KEY].newValue || {}) }));
+        });
+    },
+
+    /**
+     * Check whether an API key looks usable (set and not the example placeholder)
+     * @param {string} apiKey - API key to check
+     * @returns {boolean}
+     */
+    isApiKeySet(apiKey) {
+        return !!apiKey && apiKey !== PLACEHOLDER_API_KEY;
+    }
+};
+
+// Export for use in other scripts (the service worker has no window)
+if (typeof window !== 'undefined') {
+    window.Settings = Settings;
+} else if (typeof self !== 'undefined') {
+    self.Settings = Settings;
+}
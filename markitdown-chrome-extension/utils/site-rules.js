@@ -0,0 +1,182 @@
+/**
+ * Site Rules
+ * User-defined extraction rules for domains or URL patterns: where the content is,
+ * what else to remove and which embedded content to keep. A matching rule takes
+ * priority over the built-in content detection
+ */
+
+// Fields of a rule and their defaults (the defaults change nothing compared with having no rule)
+const SITE_RULE_DEFAULTS = {
+    pattern: '',            // Domain (example.com, subdomains included) or URL prefix with * wildcards (docs.example.com/api/*)
+    contentSelector: '',    // Content root; '' uses the built-in detection
+    removeSelectors: '',    // Extra elements to remove, as a CSS selector list
+    keepImages: true,
+    keepIframes: false,     // Embeds become links when kept
+    keepComments: true      // false removes comment threads
+};
+
+// Comment threads and discussion widgets (WordPress, Disqus, Discourse, Confluence...)
+const SITE_RULE_COMMENT_SELECTOR = [
+    '#comments', '.comments', '#comment-section', '.comment-list', '.commentlist', '.comments-area',
+    '#disqus_thread', '.discourse-comments', '#page-comments', '.page-comments', '[itemprop="comment"]'
+].join(', ');
+
+// Version written to exported files
+const SITE_RULES_EXPORT_VERSION = 1;
+
+const SiteRules = {
+    DEFAULTS: SITE_RULE_DEFAULTS,
+
+    /**
+     * The rule to use for a page: the most specific matching one
+     * URL patterns beat domains, and longer patterns beat shorter ones
+     * @param {string} url - Page URL
+     * @param {Array<Object>} rules - Stored rules
+     * @returns {Object|null} Rule with all fields filled in
+     */
+    match(url, rules = []) {
+        const matching = rules
+            .map(rule => this.normalize(rule))
+            .filter(rule => rule && this.matches(rule.pattern, url));
+        matching.sort((a, b) => this.getSpecificity(b.pattern) - this.getSpecificity(a.pattern));
+        return matching[0] || null;
+    },
+
+    /**
+     * Whether a rule pattern applies to a URL
+     * @param {string} pattern - Domain, or URL prefix with * wildcards (with or without the scheme)
+     * @param {string} url - Page URL
+     * @returns {boolean}
+     */
+    matches(pattern, url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return false;
+        }
+
+        // Bare domains match the host and its subdomains
+        if (!this.isUrlPattern(pattern)) {
+            const domain = pattern.toLowerCase().replace(/^\.+/, '');
+            return parsed.hostname === domain || parsed.hostname.endsWith(`.${domain}`);
+        }
+
+        const target = pattern.includes('://') ? parsed.href : parsed.host + parsed.pathname + parsed.search;
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        // The prefix ends at a path segment: example.com/docs is not example.com/docs-old or /docsearch
+        const boundary = /[*/?#]$/.test(pattern) ? '' : '(?=[/?#]|$)';
+        return new RegExp(`^${source}${boundary}`, 'i').test(target);
+    },
+
+    /**
+     * Whether a pattern is a URL pattern rather than a bare domain
+     * @param {string} pattern
+     * @returns {boolean}
+     */
+    isUrlPattern(pattern) {
+        return /[/*]/.test(pattern);
+    },
+
+    /**
+     * Rank used to pick between matching rules
+     * @param {string} pattern
+     * @returns {number}
+     */
+    getSpecificity(pattern) {
+        const literalLength = pattern.replace(/\*/g, '').length;
+        return (this.isUrlPattern(pattern) ? 1000 : 0) + literalLength;
+    },
+
+    /**
+     * Copy a rule with only the known fields, defaults filled in and strings trimmed
+     * @param {Object} rule - Stored or imported rule
+     * @returns {Object|null} Rule, or null when it has no pattern
+     */
+    normalize(rule) {
+        if (!rule || typeof rule !== 'object') return null;
+
+        const normalized = {};
+        Object.entries(SITE_RULE_DEFAULTS).forEach(([field, fallback]) => {
+            const value = rule[field];
+            if (typeof fallback === 'boolean') normalized[field] = typeof value === 'boolean' ? value : fallback;
+            else normalized[field] = typeof value === 'string' ? value.trim() : fallback;
+        });
+        return normalized.pattern ? normalized : null;
+    },
+
+    /**
+     * Selectors a rule adds to the built-in cleanup
+     * @param {Object} rule - Normalized rule
+     * @returns {string[]}
+     */
+    getRemoveSelectors(rule) {
+        const selectors = [];
+        if (rule.removeSelectors) selectors.push(rule.removeSelectors);
+        if (!rule.keepImages) selectors.push('img, picture');
+        if (!rule.keepComments) selectors.push(SITE_RULE_COMMENT_SELECTOR);
+        return selectors;
+    },
+
+    /**
+     * Set the content selector of a site's rule, adding the rule if needed (used by the element picker)
+     * @param {Array<Object>} rules - Stored rules
+     * @param {string} hostname - Site the selector was picked on
+     * @param {string} selector - Content selector
+     * @returns {Array<Object>} Updated rules
+     */
+    setContentSelector(rules = [], hostname, selector) {
+        const existing = rules.some(rule => rule.pattern === hostname);
+        if (!existing) return [...rules, this.normalize({ pattern: hostname, contentSelector: selector })];
+        return rules.map(rule => (rule.pattern === hostname ? { ...rule, contentSelector: selector } : rule));
+    },
+
+    /**
+     * Read rules from an exported file
+     * @param {string} text - JSON: {"siteRules": [...]} or a bare array of rules
+     * @returns {Array<Object>} Valid rules (entries without a pattern are skipped)
+     * @throws {Error} When the JSON is invalid or holds no rule list
+     */
+    parseImport(text) {
+        const data = JSON.parse(text);
+        const rules = Array.isArray(data) ? data : data && data.siteRules;
+        if (!Array.isArray(rules)) throw new Error('Expected a list of rules or {"siteRules": [...]}');
+        return rules.map(rule => this.normalize(rule)).filter(Boolean);
+    },
+
+    /**
+     * Add imported rules, replacing existing rules with the same pattern
+     * @param {Array<Object>} rules - Stored rules
+     * @param {Array<Object>} imported - Rules from parseImport()
+     * @returns {Array<Object>} Merged rules
+     */
+    merge(rules = [], imported) {
+        const key = rule => rule.pattern.toLowerCase();
+        const replacements = new Map(imported.map(rule => [key(rule), rule]));
+        const merged = rules.map(rule => replacements.get(key(rule)) || rule);
+        const existing = new Set(rules.map(key));
+        replacements.forEach((rule, pattern) => {
+            if (!existing.has(pattern)) merged.push(rule);
+        });
+        return merged;
+    },
+
+    /**
+     * JSON for exporting rules
+     * @param {Array<Object>} rules
+     * @returns {string}
+     */
+    serialize(rules = []) {
+        return JSON.stringify({
+            version: SITE_RULES_EXPORT_VERSION,
+            siteRules: rules.map(rule => this.normalize(rule)).filter(Boolean)
+        }, null, 2);
+    }
+};
+
+// Export for use in other scripts (the service worker has no window)
+if (typeof window !== 'undefined') {
+    window.SiteRules = SiteRules;
+} else if (typeof self !== 'undefined') {
+    self.SiteRules = SiteRules;
+}
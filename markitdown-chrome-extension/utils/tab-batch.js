@@ -0,0 +1,144 @@
+/**
+ * Tab Batch
+ * Assembles the conversions of several tabs into one Markdown document with a
+ * table of contents, or into one file per tab for a ZIP archive
+ * Requires utils/downloads.js and converters/pagination.js to be loaded first
+ */
+
+// Headings inside a tab's section start below the section heading (## Tab title)
+const TAB_SECTION_HEADING_OFFSET = 2;
+
+const TabBatch = {
+    /**
+     * Build one document with a section per converted tab
+     * @param {Array<Object>} results - Per-tab results: {title, url, markdown} or {title, url, error}
+     * @param {Date} date - Capture time shown in the title
+     * @returns {string} Markdown
+     */
+    combine(results, date = new Date()) {
+        const converted = results.filter(result => result.markdown);
+        const failed = results.filter(result => !result.markdown);
+        const usedAnchors = new Set(['contents']);
+        const offsets = { footnote: 0, reference: 0 };
+
+        const sections = converted.map((result, i) => {
+            const heading = `${i + 1}. ${this.getTitle(result)}`;
+
+            // Footnote and link labels are per tab, so number each tab's past the previous ones
+            const content = this.replaceFrontMatter(result.markdown.trim(), result.url);
+            const markdown = Pagination.shiftLabels(content, offsets.footnote, offsets.reference);
+            const used = Pagination.getMaxLabels(content);
+            offsets.footnote += used.footnote;
+            offsets.reference += used.reference;
+
+            return { heading, anchor: this.getAnchor(heading, usedAnchors), markdown };
+        });
+
+        let markdown = `# ${converted.length} tab${converted.length === 1 ? '' : 's'} (${date.toISOString().slice(0, 10)})\n\n`;
+
+        markdown += '## Contents\n\n';
+        markdown += sections.map(section => `- [${this.escapeLinkText(section.heading)}](#${section.anchor})`).join('\n');
+        if (failed.length > 0) markdown += `\n- [Not converted](#${this.getAnchor('Not converted', usedAnchors)})`;
+        markdown += '\n\n';
+
+        markdown += sections.map(section =>
+            `## ${section.heading}\n\n${this.demoteHeadings(section.markdown, TAB_SECTION_HEADING_OFFSET)}`
+        ).join('\n\n---\n\n');
+
+        if (failed.length > 0) {
+            markdown += '\n\n---\n\n## Not converted\n\n';
+            markdown += failed.map(result => `- [${this.escapeLinkText(this.getTitle(result))}](${result.url}): ${result.error}`).join('\n');
+        }
+
+        return markdown + '\n';
+    },
+
+    /**
+     * One Markdown file per converted tab, named with the filename template
+     * Names that collide get a numeric suffix
+     * @param {Array<Object>} results - Per-tab results (see combine)
+     * @param {string} template - Filename template (see Downloads.getFilename)
+     * @returns {Array<{name: string, data: string}>} Files for Zip.create()
+     */
+    toFiles(results, template) {
+        const used = new Set();
+        return results.filter(result => result.markdown).map(result => {
+            const base = Downloads.getFilename(template, result).replace(/\.md$/, '');
+            let name = `${base}.md`;
+            for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}-${n}.md`;
+            used.add(name.toLowerCase());
+            return { name, data: result.markdown };
+        });
+    },
+
+    /**
+     * Swap a YAML front matter block for a source line, since it only works at the top of a file
+     * @param {string} markdown
+     * @param {string} url - Tab URL
+     * @returns {string}
+     */
+    replaceFrontMatter(markdown, url) {
+        const match = markdown.match(/^---\n[\s\S]*?\n---(?:\n+|$)/);
+        if (!match) return markdown;
+        const source = url ? `> Source: ${url}\n\n` : '';
+        return source + markdown.slice(match[0].length);
+    },
+
+    /**
+     * Lower every ATX heading by some levels (capped at ######), leaving code blocks alone
+     * @param {string} markdown
+     * @param {number} levels - Levels to add
+     * @returns {string}
+     */
+    demoteHeadings(markdown, levels) {
+        let fence = null;
+        return markdown.split('\n').map(line => {
+            const fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})/);
+            if (fenceMatch) {
+                if (!fence) fence = fenceMatch[1];
+                else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+                return line;
+            }
+            if (fence) return line;
+
+            return line.replace(/^(#{1,6})(?=\s|$)/, hashes => '#'.repeat(Math.min(hashes.length + levels, 6)));
+        }).join('\n');
+    },
+
+    /**
+     * Tab title for headings, falling back to the URL
+     * @param {Object} result - Per-tab result
+     * @returns {string}
+     */
+    getTitle(result) {
+        return (result.title || result.url || 'Untitled').replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * GitHub-style heading anchor, unique within a document
+     * @param {string} heading - Heading text
+     * @param {Set<string>} used - Anchors already taken (updated)
+     * @returns {string}
+     */
+    getAnchor(heading, used) {
+        const base = heading.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').trim().replace(/\s/g, '-');
+        let anchor = base;
+        for (let n = 1; used.has(anchor); n++) anchor = `${base}-${n}`;
+        used.add(anchor);
+        return anchor;
+    },
+
+    /**
+     * Escape brackets so a title can be used as link text
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeLinkText(text) {
+        return text.replace(/([\\[\]])/g, '\\$1');
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.TabBatch = TabBatch;
+}
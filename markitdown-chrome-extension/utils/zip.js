@@ -0,0 +1,109 @@
+/**
+ * ZIP Writer
+ * Builds uncompressed (stored) ZIP archives. Bundles are mostly images, which
+ * are already compressed, so deflating them would cost time for little gain.
+ */
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const Zip = {
+    /**
+     * Build a ZIP archive
+     * @param {Array<{name: string, data: string|Uint8Array}>} files - Paths inside the archive and their content
+     * @param {Date} date - Modification time recorded for every entry
+     * @returns {Blob} application/zip blob
+     */
+    create(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const time = this.getDosTime(date);
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);      // Local file header signature
+            local.setUint16(4, 20, true);              // Version needed (2.0)
+            local.setUint16(6, 0x0800, true);          // Flags: UTF-8 names
+            local.setUint16(8, 0, true);               // Method: stored
+            local.setUint16(10, time.time, true);
+            local.setUint16(12, time.date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);    // Compressed size
+            local.setUint32(22, data.length, true);    // Uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);              // Extra field length
+            parts.push(local, name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);    // Central directory signature
+            central.setUint16(4, 20, true);            // Version made by
+            central.setUint16(6, 20, true);            // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time.time, true);
+            central.setUint16(14, time.date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);       // Offset of the local header
+            directory.push(central, name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);            // End of central directory signature
+        end.setUint16(8, files.length, true);          // Entries on this disk
+        end.setUint16(10, files.length, true);         // Total entries
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);               // Offset of the central directory
+
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    },
+
+    /**
+     * CRC-32 checksum of some bytes
+     * @param {Uint8Array} data
+     * @returns {number} Unsigned checksum
+     */
+    crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * MS-DOS date and time fields (local time, 2-second precision, years from 1980)
+     * @param {Date} date
+     * @returns {{time: number, date: number}}
+     */
+    getDosTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.Zip = Zip;
+}